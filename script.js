@@ -1,777 +1,5880 @@
+/**
+ * LocalStorageAdapter
+ * Storage backend on window.localStorage. Strings are stored as-is, other
+ * values as JSON; everything comes back as the stored text.
+ */
+class LocalStorageAdapter {
+    async get(key) {
+        const value = localStorage.getItem(key);
+        return value === null ? undefined : value;
+    }
+
+    async set(key, value) {
+        localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+    }
+
+    async remove(key) {
+        localStorage.removeItem(key);
+    }
+}
+
+/**
+ * IndexedDBAdapter
+ * Asynchronous storage backend on IndexedDB. Values are stored as structured
+ * clones in a single key/value object store, so large archives are not bound
+ * by the localStorage quota.
+ */
+class IndexedDBAdapter {
+    constructor(dbName = 'todo_app', storeName = 'kv') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this._db = null;
+    }
+
+    _open() {
+        if (!this._db) {
+            this._db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this._db;
+    }
+
+    async _request(mode, makeRequest) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = makeRequest(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request.result);
+            // Quota errors surface as an aborted transaction
+            tx.onabort = () => reject(tx.error || request.error);
+            tx.onerror = () => reject(tx.error || request.error);
+        });
+    }
+
+    get(key) {
+        return this._request('readonly', store => store.get(key));
+    }
+
+    set(key, value) {
+        return this._request('readwrite', store => store.put(value, key));
+    }
+
+    remove(key) {
+        return this._request('readwrite', store => store.delete(key));
+    }
+}
+
 /**
  * LocalStorageManager
  * Manages data persistence and logic for Templates and Todo Groups.
+ * Data lives in memory; writes go to a pluggable storage adapter
+ * (IndexedDB where available, localStorage otherwise) in the background.
+ * Wait for `ready` before using the store.
  */
 class LocalStorageManager {
-    constructor() {
+    constructor(storage = null) {
         this.STORAGE_KEY = 'todo_app_v2';
-        this.data = this._loadData();
+        this.SNAPSHOT_KEY = 'todo_app_v2_snapshots';
+        this.SCHEMA_VERSION = 3;
+        this.MAX_SNAPSHOTS = 3;
+        // Characters; localStorage shares its ~5 MB quota between the data and its snapshots
+        this.MAX_LOCAL_SNAPSHOT_SIZE = 1024 * 1024;
+        this.SNAPSHOT_INTERVAL = 10 * 60 * 1000;
+        this.PLACEHOLDER_PATTERN = /\{\{\s*([^{}\s]+)\s*\}\}/g;
+        this.storage = storage || (typeof indexedDB !== 'undefined' ? new IndexedDBAdapter() : new LocalStorageAdapter());
+        // Set when stored data could not be loaded cleanly; saving is suspended until resolved
+        this.loadIssue = null;
+        // Called with the error when a background write fails (e.g. quota exceeded)
+        this.onPersistError = null;
+        // Change listeners, see subscribe()
+        this._listeners = new Set();
+        this._batchDepth = 0;
+        this._batchChanged = false;
+        // Typed events listeners can register for, see on()
+        this.EVENT_TYPES = ['itemToggled', 'groupCreated', 'groupCompleted', 'groupArchived', 'groupUnarchived', 'groupDeleted', 'templateSaved', 'templateDeleted'];
+        this._eventListeners = new Map();
+        this._pendingEvents = [];
+        // Ids of templates/groups touched or deleted since takeChangedIds() was last called
+        this._changedIds = new Set();
+        this.TOMBSTONE_TTL = 30 * 24 * 60 * 60 * 1000;
+        this.MAX_TEMPLATE_REVISIONS = 30;
+        // Seconds
+        this.MAX_AUTO_ARCHIVE_DELAY = 60 * 60;
+        this._channel = null;
+        this._syncing = Promise.resolve();
+        this.data = this._getDefaultData();
+        this.snapshots = [];
+        this._lastSnapshotAt = 0;
+        this._saveQueued = false;
+        this._writing = Promise.resolve();
+        this.ready = this._init();
+    }
+
+    async _init() {
+        try {
+            await this._migrateFromLocalStorage();
+        } catch (e) {
+            // e.g. IndexedDB disabled in private browsing
+            console.error('Storage backend unavailable, falling back to localStorage:', e);
+            this.storage = new LocalStorageAdapter();
+        }
+        this.snapshots = await this._readSnapshots();
+        this._lastSnapshotAt = Math.max(0, ...this.snapshots.map(snap => snap.createdAt).filter(Number.isFinite));
+        this.data = await this._loadData();
+        this._listenForRemoteChanges();
     }
 
-    _loadData() {
-        const json = localStorage.getItem(this.STORAGE_KEY);
-        if (json) {
+    /**
+     * One-time move of the localStorage keys written by earlier versions into
+     * another backend. The old keys are removed only after the copy succeeded.
+     */
+    async _migrateFromLocalStorage() {
+        if (this.storage instanceof LocalStorageAdapter) return;
+        const existing = await this.storage.get(this.STORAGE_KEY);
+        if (typeof localStorage === 'undefined') return;
+
+        const legacyKeys = Object.keys(localStorage)
+            .filter(key => key === this.STORAGE_KEY || key.startsWith(`${this.STORAGE_KEY}_`));
+        if (legacyKeys.length === 0 || existing !== undefined) return;
+
+        for (const key of legacyKeys) {
+            const raw = localStorage.getItem(key);
+            let value = raw;
             try {
-                const data = JSON.parse(json);
-                if (!data.templates) data.templates = [];
-                if (!data.groups) data.groups = [];
-                return data;
+                value = JSON.parse(raw);
             } catch (e) {
-                console.error('Failed to parse localStorage data:', e);
-                return this._getDefaultData();
+                // Unreadable text is copied as-is so it still reaches quarantine on load
             }
+            await this.storage.set(key, value);
         }
-        return this._getDefaultData();
+        legacyKeys.forEach(key => localStorage.removeItem(key));
     }
 
-    _getDefaultData() {
-        return {
-            templates: [],
-            groups: []
-        };
-    }
+    async _loadData() {
+        const stored = await this.storage.get(this.STORAGE_KEY);
+        if (stored === undefined || stored === null || stored === '') return this._getDefaultData();
 
-    _saveData() {
-        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.data));
+        let data, migrated;
+        try {
+            ({ data, migrated } = typeof stored === 'string'
+                ? this._parseDocument(stored)
+                : this._upgradeDocument(stored));
+        } catch (e) {
+            console.error('Failed to parse stored data:', e);
+            this.loadIssue = { type: 'corrupt', quarantineKey: await this._quarantine(stored), dropped: 0 };
+            return this._getDefaultData();
+        }
+
+        const dropped = this._sanitizeData(data);
+        if (dropped > 0) {
+            console.error(`Dropped ${dropped} malformed entries from stored data`);
+            this.loadIssue = { type: 'repaired', quarantineKey: await this._quarantine(stored), dropped };
+        } else if (migrated) {
+            // Persist migrated data so the upgrade only runs once
+            this.data = data;
+            this._saveData();
+        }
+        return data;
     }
 
-    _generateId() {
-        return crypto.randomUUID();
+    /**
+     * Parses a stored or imported JSON document and upgrades it to the
+     * current schema. Throws if the payload is not a usable document at all.
+     * Returns { data, migrated }.
+     */
+    _parseDocument(json) {
+        return this._upgradeDocument(JSON.parse(json));
     }
 
-    _touch(obj, isNew = false) {
-        const now = Date.now();
-        if (isNew) {
-            obj.createdAt = now;
+    _upgradeDocument(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Stored document is not an object');
         }
-        obj.updatedAt = now;
+        if (data.templates === undefined) data.templates = [];
+        if (data.groups === undefined) data.groups = [];
+        if (!Array.isArray(data.templates) || !Array.isArray(data.groups)) {
+            throw new Error('Stored templates/groups are not arrays');
+        }
+        if (!data.tombstones || typeof data.tombstones !== 'object') data.tombstones = {};
+        const migrated = this._migrate(data);
+        return { data, migrated };
     }
 
-    getTemplates() {
-        return this.data.templates;
+    _getDefaultData() {
+        return {
+            schemaVersion: this.SCHEMA_VERSION,
+            templates: [],
+            groups: [],
+            settings: this._getDefaultSettings(),
+            // Deleted entity id -> deletion time, so merges don't resurrect deleted entries
+            tombstones: {}
+        };
     }
 
-    // --- Template Methods ---
-
-    createTemplate(title, sectionsData) {
-        // sectionsData: [{title: "Section Title", items: ["Item1", "Item2"]}]
-        const sections = sectionsData.map(sec => ({
-            id: this._generateId(),
-            title: sec.title,
-            items: sec.items.map(text => ({ text }))
-        }));
-
-        const newTemplate = {
-            id: this._generateId(),
-            title: title,
-            sections: sections
+    _getDefaultSettings() {
+        return {
+            updatedAt: 0,
+            // null = unlimited
+            retention: { maxPerTemplate: null, maxAgeDays: null },
+            // What happens once every item of a group is done; templates can override it
+            autoArchive: { enabled: true, delaySeconds: 2, confirm: false },
+            // [{ id, url, events: [event type], enabled }], see WebhookDispatcher
+            webhooks: []
         };
-        this._touch(newTemplate, true);
-        this.data.templates.push(newTemplate);
-        this._saveData();
-        return newTemplate;
     }
 
-    updateTemplate(id, title, sectionsData) {
-        const template = this.data.templates.find(t => t.id === id);
-        if (!template) return null;
+    // --- Schema Migrations ---
 
-        if (title !== undefined) template.title = title;
-        if (sectionsData !== undefined) {
-            template.sections = sectionsData.map(sec => ({
-                id: this._generateId(), // Always regenerate IDs on full update for simplicity or keep if sophisticated
-                title: sec.title,
-                items: sec.items.map(text => ({ text }))
-            }));
+    /**
+     * Ordered migration pipeline. Each step upgrades a document from
+     * `version - 1` to `version`. Documents saved before versioning have
+     * no schemaVersion and are treated as version 1.
+     */
+    _getMigrations() {
+        return [
+            { version: 2, migrate: data => this._migrateFlatItemsToSections(data) },
+            { version: 3, migrate: data => this._migrateLinkGroupsToTemplates(data) }
+        ];
+    }
+
+    /**
+     * Runs every pending migration on `data` in place.
+     * Returns true if the document was changed and should be written back.
+     */
+    _migrate(data) {
+        const fromVersion = data.schemaVersion || 1;
+        if (fromVersion > this.SCHEMA_VERSION) {
+            console.warn(`Stored data has schema version ${fromVersion}, newer than supported ${this.SCHEMA_VERSION}`);
+            return false;
         }
 
-        this._touch(template);
-        this._saveData();
-        return template;
+        const pending = this._getMigrations().filter(m => m.version > fromVersion);
+        pending.forEach(m => {
+            m.migrate(data);
+            data.schemaVersion = m.version;
+        });
+        return pending.length > 0;
     }
 
-    deleteTemplate(id) {
-        this.data.templates = this.data.templates.filter(t => t.id !== id);
-        this._saveData();
+    // v1 -> v2: flat `items` on templates and groups become a single section
+    _migrateFlatItemsToSections(data) {
+        const toSections = (obj, fallbackTitle) => {
+            if (!obj || typeof obj !== 'object') return;
+            if ((!obj.sections || obj.sections.length === 0) && obj.items && obj.items.length > 0) {
+                obj.sections = [{ title: fallbackTitle, items: obj.items }];
+            }
+            delete obj.items;
+        };
+
+        data.templates.forEach(tpl => toSections(tpl, '一般'));
+        data.groups.forEach(group => {
+            toSections(group, 'タスク');
+        });
     }
 
-    duplicateTemplate(templateId) {
-        const template = this.data.templates.find(t => t.id === templateId);
-        if (!template) return null;
+    // v2 -> v3: template items get ids, and groups are linked to them by title/text
+    _migrateLinkGroupsToTemplates(data) {
+        const sectionsOf = obj => (obj && Array.isArray(obj.sections) ? obj.sections.filter(sec => sec && Array.isArray(sec.items)) : []);
 
-        // Deep copy sections and items
-        const sectionsData = (template.sections || []).map(sec => ({
-            title: sec.title,
-            items: sec.items.map(i => i.text)
-        }));
+        data.templates.forEach(tpl => {
+            if (!tpl || typeof tpl !== 'object') return;
+            sectionsOf(tpl).forEach(sec => {
+                sec.items.forEach(item => {
+                    if (item && typeof item === 'object' && typeof item.id !== 'string') item.id = this._generateId();
+                });
+            });
+            tpl.contentUpdatedAt = tpl.updatedAt;
+        });
 
-        // Handle legacy items if any
-        if ((!template.sections || template.sections.length === 0) && template.items) {
-            sectionsData.push({
-                title: '一般',
-                items: template.items.map(i => i.text)
+        data.groups.forEach(group => {
+            if (!group || typeof group !== 'object') return;
+            const template = data.templates.find(t => t && t.id === group.templateId);
+            if (!template) return;
+            const tplSections = sectionsOf(template);
+            sectionsOf(group).forEach(sec => {
+                const tplSection = tplSections.find(t => t.title === sec.title);
+                if (!tplSection) return;
+                sec.templateSectionId = tplSection.id;
+                sec.items.forEach(item => {
+                    const tplItem = tplSection.items.find(t => t && item && t.text === item.text);
+                    if (tplItem) item.templateItemId = tplItem.id;
+                });
             });
-        }
+            group.templateSyncedAt = group.createdAt;
+        });
+    }
 
-        return this.createTemplate(template.title + ' のコピー', sectionsData);
+    // Every mutation ends here: tells listeners about the change and queues a write
+    _saveData() {
+        this._notifyChange({ remote: false });
+        this._queueSave();
     }
 
-    getGroups(statusFilter = 'all') {
-        if (statusFilter === 'all') return this.data.groups;
-        return this.data.groups.filter(g => g.status === statusFilter);
+    _queueSave() {
+        // Never overwrite unreadable data before the user has decided what to do with it
+        if (this.loadIssue) return;
+        // Coalesce the mutations of one event handler into a single background write
+        if (this._saveQueued) return;
+        this._saveQueued = true;
+        queueMicrotask(() => {
+            this._saveQueued = false;
+            this._writing = this._writing.then(() => this._persist());
+        });
     }
 
-    createGroupFromTemplate(templateId) {
-        const template = this.data.templates.find(t => t.id === templateId);
-        if (!template) {
-            console.error('Template not found');
-            return null;
+    async _persist() {
+        try {
+            await this._snapshotStoredData();
+            await this._writeData();
+            if (this._channel) this._channel.postMessage({ type: 'saved' });
+        } catch (e) {
+            console.error('Failed to save data:', e);
+            if (this.onPersistError) this.onPersistError(e);
         }
+    }
 
-        // Deep copy sections and items, adding status
-        const groupSections = (template.sections || []).map(sec => ({
-            id: this._generateId(),
-            title: sec.title,
-            items: sec.items.map(item => ({
-                id: this._generateId(),
-                text: item.text,
-                completed: false
-            }))
-        }));
-
-        // Handle legacy flatness if any (migration on fly)
-        if (!template.sections && template.items) {
-            groupSections.push({
-                id: this._generateId(),
-                title: '一般',
-                items: template.items.map(item => ({
-                    id: this._generateId(),
-                    text: item.text,
-                    completed: false
-                }))
-            });
+    // Snapshots must never cost the save they protect: on a full quota they go first
+    async _writeData() {
+        try {
+            await this.storage.set(this.STORAGE_KEY, this.data);
+        } catch (e) {
+            if (!this.isQuotaExceeded(e) || this.snapshots.length === 0) throw e;
+            console.error('Storage full, dropping snapshots:', e);
+            this.snapshots = [];
+            await this.storage.remove(this.SNAPSHOT_KEY);
+            await this.storage.set(this.STORAGE_KEY, this.data);
         }
-
-        const newGroup = {
-            id: this._generateId(),
-            templateId: template.id,
-            status: 'active',
-            title: template.title,
-            sections: groupSections
-        };
-        this._touch(newGroup, true);
-        this.data.groups.push(newGroup);
-        this._saveData();
-        return newGroup;
     }
 
-    createGroup(title, sectionsData = []) {
-        // One-off creation
-        const sections = sectionsData.map(sec => ({
-            id: this._generateId(),
-            title: sec.title,
-            items: sec.items.map(text => ({
-                id: this._generateId(),
-                text: text,
-                completed: false
-            }))
-        }));
+    // Resolves once every save requested so far has been written
+    async flush() {
+        await null;
+        return this._writing;
+    }
 
-        const newGroup = {
-            id: this._generateId(),
-            templateId: null,
-            status: 'active',
-            title: title,
-            sections: sections
-        };
-        this._touch(newGroup, true);
-        this.data.groups.push(newGroup);
-        this._saveData();
-        return newGroup;
+    isQuotaExceeded(error) {
+        return !!error && (error.name === 'QuotaExceededError'
+            || error.name === 'NS_ERROR_DOM_QUOTA_REACHED'
+            || error.code === 22);
     }
 
-    toggleTodoCompletion(groupId, todoId) {
-        const group = this.data.groups.find(g => g.id === groupId);
-        if (!group) return null;
+    // --- Change Notifications ---
 
-        // Search through sections
-        if (group.sections) {
-            for (const section of group.sections) {
-                const todo = section.items.find(i => i.id === todoId);
-                if (todo) {
-                    todo.completed = !todo.completed;
-                    this._touch(group);
-                    this._saveData();
-                    return group;
-                }
-            }
-        }
+    /**
+     * Calls `listener({ remote })` after every change to the data: made in
+     * this tab (remote: false) or merged in from another one (remote: true).
+     * Returns a function that unsubscribes.
+     */
+    subscribe(listener) {
+        this._listeners.add(listener);
+        return () => this._listeners.delete(listener);
+    }
 
-        // Legacy fallback
-        if (group.items) {
-            const todo = group.items.find(i => i.id === todoId);
-            if (todo) {
-                todo.completed = !todo.completed;
-                this._touch(group);
-                this._saveData();
-                return group;
+    // Runs `mutate` with listeners told once at the end, however many changes it makes
+    batch(mutate) {
+        this._batchDepth++;
+        try {
+            return mutate();
+        } finally {
+            this._batchDepth--;
+            if (this._batchDepth === 0 && this._batchChanged) {
+                this._batchChanged = false;
+                this._notifyChange({ remote: false });
             }
         }
-
-        return null;
     }
 
-    checkAllCompleted(groupId) {
-        const group = this.data.groups.find(g => g.id === groupId);
-        if (!group) return false;
-
-        if (group.sections && group.sections.length > 0) {
-            // Check all items in all sections
-            // Ensure at least one item exists overall? Or just that all existing are done.
-            // Let's say: if there are items, they must be done.
-            let hasItems = false;
-            const allSectionsDone = group.sections.every(sec => {
-                if (sec.items.length > 0) hasItems = true;
-                return sec.items.every(i => i.completed);
-            });
-            return hasItems && allSectionsDone;
+    _notifyChange(change) {
+        if (this._batchDepth > 0 && !change.remote) {
+            this._batchChanged = true;
+            return;
         }
+        this._listeners.forEach(listener => {
+            try {
+                listener(change);
+            } catch (e) {
+                console.error('Change listener failed:', e);
+            }
+        });
+        if (!change.remote) this._flushEvents();
+    }
 
-        // Legacy
-        if (group.items) {
-            return group.items.length > 0 && group.items.every(i => i.completed);
-        }
+    // --- Store Events ---
 
-        return false;
+    /**
+     * Calls `listener(event)` for every event of `type` (one of EVENT_TYPES),
+     * or of any type with '*'. Events are `{ type, occurredAt, ...details }`
+     * and describe changes made in this tab; they arrive after the change
+     * listeners, once the surrounding batch has finished. Undo/redo, imports
+     * and changes merged in from other tabs emit none.
+     * Returns a function that unsubscribes.
+     */
+    on(type, listener) {
+        if (!this._eventListeners.has(type)) this._eventListeners.set(type, new Set());
+        const listeners = this._eventListeners.get(type);
+        listeners.add(listener);
+        return () => listeners.delete(listener);
     }
 
-    archiveGroup(groupId) {
-        const group = this.data.groups.find(g => g.id === groupId);
-        if (!group) return null;
-        group.status = 'archived';
-        this._touch(group);
-        this._saveData();
-        return group;
+    // Queues an event for the next change notification, so call it before _saveData()
+    _emit(type, details) {
+        this._pendingEvents.push({ type, occurredAt: Date.now(), ...details });
     }
 
-    unarchiveGroup(groupId) {
-        const group = this.data.groups.find(g => g.id === groupId);
-        if (!group) return null;
-        group.status = 'active';
-        this._touch(group);
-        this._saveData();
-        return group;
+    _flushEvents() {
+        this._pendingEvents.splice(0).forEach(event => {
+            [event.type, '*'].forEach(key => (this._eventListeners.get(key) || []).forEach(listener => {
+                try {
+                    listener(event);
+                } catch (e) {
+                    console.error('Event listener failed:', e);
+                }
+            }));
+        });
     }
 
-    deleteGroup(groupId) {
-        this.data.groups = this.data.groups.filter(g => g.id !== groupId);
-        this._saveData();
+    // Event payloads are plain copies, so listeners can't change the data through them
+    _groupEventData(group) {
+        return {
+            id: group.id,
+            title: group.title,
+            templateId: group.templateId || null,
+            status: group.status,
+            progress: this.getGroupProgress(group)
+        };
     }
-}
 
-const todoStore = new LocalStorageManager();
+    _templateEventData(template) {
+        return { id: template.id, title: template.title };
+    }
 
-class UIManager {
-    constructor(store) {
-        this.store = store;
-        this.elements = {};
-        this.init();
+    _itemEventData(section, item) {
+        return {
+            id: item.id,
+            text: item.text,
+            completed: item.completed,
+            sectionId: section.id,
+            sectionTitle: section.title
+        };
     }
 
-    init() {
-        this.cacheDOM();
-        this.bindEvents();
-        this.render();
-        this.updateDateDisplay();
+    // Emits groupCompleted when a change finished the last open item of a group
+    _emitIfCompleted(group, wasCompleted) {
+        if (!wasCompleted && this.checkAllCompleted(group.id)) {
+            this._emit('groupCompleted', { group: this._groupEventData(group) });
+        }
     }
 
-    cacheDOM() {
-        this.elements = {
-            dateDisplay: document.getElementById('date-display'),
-            navBtns: document.querySelectorAll('.nav-btn'),
-            tabContents: document.querySelectorAll('.tab-content'),
-            activeContainer: document.getElementById('active-groups-container'),
-            templatesContainer: document.getElementById('templates-container'),
-            archiveContainer: document.getElementById('archive-container'),
-            emptyStateActive: document.getElementById('empty-state-active'),
-            btnQuickAdd: document.getElementById('btn-quick-add'),
-            btnCreateTemplate: document.getElementById('btn-create-template'),
-            btnSaveTemplate: document.getElementById('btn-save-template'),
-            btnAddTplItem: document.getElementById('btn-add-tpl-item'),
-            modal: document.getElementById('template-modal'),
-            modalCloseBtns: document.querySelectorAll('.close-modal'),
-            tplTitleInput: document.getElementById('tpl-title-input'),
-            tplSectionsContainer: document.getElementById('tpl-sections-container'),
-            btnAddSection: document.getElementById('btn-add-section'),
-            feedbackOverlay: document.getElementById('feedback-overlay')
+    // --- Cross-Tab Sync ---
+
+    _listenForRemoteChanges() {
+        const onRemoteSave = () => {
+            this._syncing = this._syncing.then(() => this._mergeFromStorage());
         };
+        if (typeof BroadcastChannel !== 'undefined') {
+            this._channel = new BroadcastChannel(this.STORAGE_KEY);
+            this._channel.onmessage = (e) => {
+                if (e.data && e.data.type === 'saved') onRemoteSave();
+            };
+        } else if (this.storage instanceof LocalStorageAdapter) {
+            window.addEventListener('storage', (e) => {
+                if (e.key === this.STORAGE_KEY) onRemoteSave();
+            });
+        }
     }
 
-    bindEvents() {
-        this.elements.navBtns.forEach(btn => {
-            btn.addEventListener('click', () => this.switchTab(btn.dataset.tab));
-        });
-        document.querySelectorAll('[data-switch-tab]').forEach(btn => {
-            btn.addEventListener('click', (e) => this.switchTab(e.target.dataset.switchTab));
-        });
-        this.elements.btnCreateTemplate.addEventListener('click', () => this.openModal());
-        this.elements.modalCloseBtns.forEach(btn => btn.addEventListener('click', () => this.closeModal()));
-        this.elements.modal.addEventListener('click', (e) => {
-            if (e.target === this.elements.modal) this.closeModal();
-        });
+    // Reads what another tab saved and merges it into the in-memory data
+    async _mergeFromStorage() {
+        if (this.loadIssue) return;
 
-        this.elements.btnAddSection.addEventListener('click', () => this.addTemplateSection());
+        let remote;
+        try {
+            const stored = await this.storage.get(this.STORAGE_KEY);
+            ({ data: remote } = typeof stored === 'string' ? this._parseDocument(stored) : this._upgradeDocument(stored));
+            this._sanitizeData(remote);
+        } catch (e) {
+            console.error('Failed to read changes from another tab:', e);
+            return;
+        }
+
+        const { changed, needsSave } = this._mergeDocument(remote);
+        // Write back anything only this tab has, so both sides converge
+        if (needsSave) this._queueSave();
+        if (changed) this._notifyChange({ remote: true });
+    }
+
+    /**
+     * Entity-level merge of another copy of the document into this.data.
+     * The newer updatedAt wins per template/group (and for settings as a
+     * whole); tombstones win over
+     * entities that were not updated after the deletion.
+     * Returns { changed: local data changed, needsSave: remote lacks local changes }.
+     */
+    _mergeDocument(remote) {
+        let changed = false;
+        let needsSave = false;
+
+        const tombstones = this.data.tombstones;
+        this._pruneTombstones(tombstones);
+        Object.entries(remote.tombstones).forEach(([id, deletedAt]) => {
+            if (!(tombstones[id] >= deletedAt)) tombstones[id] = deletedAt;
+        });
+        if (Object.keys(tombstones).some(id => !(remote.tombstones[id] >= tombstones[id]))) needsSave = true;
+
+        ['templates', 'groups'].forEach(kind => {
+            const remoteById = new Map(remote[kind].map(e => [e.id, e]));
+            const merged = this.data[kind].map(entity => {
+                const other = remoteById.get(entity.id);
+                remoteById.delete(entity.id);
+                if (!other || other.updatedAt < entity.updatedAt) {
+                    needsSave = true;
+                    return entity;
+                }
+                if (other.updatedAt > entity.updatedAt) {
+                    changed = true;
+                    return other;
+                }
+                return entity;
+            });
+            remoteById.forEach(entity => {
+                merged.push(entity);
+                changed = true;
+            });
+
+            const alive = merged.filter(e => !(tombstones[e.id] >= e.updatedAt));
+            if (alive.length !== merged.length) changed = true;
+            this.data[kind] = alive;
+        });
+        // Merged groups carry their own positions, wherever they came from
+        this._sortGroups();
+
+        if (remote.settings.updatedAt > this.data.settings.updatedAt) {
+            this.data.settings = remote.settings;
+            changed = true;
+        } else if (remote.settings.updatedAt < this.data.settings.updatedAt) {
+            needsSave = true;
+        }
+
+        return { changed, needsSave };
+    }
+
+    _recordDeletion(id) {
+        this._changedIds.add(id);
+        this.data.tombstones[id] = Date.now();
+    }
+
+    _pruneTombstones(tombstones) {
+        const now = Date.now();
+        Object.keys(tombstones).forEach(id => {
+            const deletedAt = tombstones[id];
+            if (typeof deletedAt !== 'number' || now - deletedAt > this.TOMBSTONE_TTL) delete tombstones[id];
+        });
+    }
+
+    // --- Corruption Protection & Snapshots ---
+
+    /**
+     * Structural validation of templates and groups, in place.
+     * Repairable fields are filled in; entries that are not objects or have no
+     * usable text are dropped. Returns the number of dropped entries.
+     */
+    _sanitizeData(data) {
+        let dropped = 0;
+        const now = Date.now();
+        const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+        const keepObjects = list => {
+            if (list === undefined) return [];
+            if (!Array.isArray(list)) {
+                dropped++;
+                return [];
+            }
+            const kept = list.filter(isObject);
+            dropped += list.length - kept.length;
+            return kept;
+        };
+        const isId = id => this.isValidId(id);
+        const sanitizeEntity = entity => {
+            if (!isId(entity.id)) entity.id = this._generateId();
+            if (typeof entity.title !== 'string') entity.title = '名称未設定';
+            if (typeof entity.createdAt !== 'number') entity.createdAt = now;
+            if (typeof entity.updatedAt !== 'number') entity.updatedAt = entity.createdAt;
+        };
+        const sanitizeTags = owner => {
+            if (!Array.isArray(owner.tags)) {
+                delete owner.tags;
+                return;
+            }
+            owner.tags = [...new Set(owner.tags.filter(tag => typeof tag === 'string' && tag))];
+            if (owner.tags.length === 0) delete owner.tags;
+        };
+        // Notes, quantity, the optional flag and condition tags are shared by template and group items
+        const sanitizeDetails = item => {
+            if (typeof item.note !== 'string' || !item.note) delete item.note;
+            if (!Number.isInteger(item.quantity) || item.quantity < 2) delete item.quantity;
+            if (item.optional !== true) delete item.optional;
+            sanitizeTags(item);
+        };
+        const sanitizeItems = (list, sanitizeItem) => {
+            const objects = keepObjects(list);
+            const items = objects.filter(item => typeof item.text === 'string');
+            dropped += objects.length - items.length;
+            items.forEach(item => {
+                sanitizeDetails(item);
+                sanitizeItem(item);
+                if (item.children !== undefined) item.children = sanitizeItems(item.children, sanitizeItem);
+            });
+            return items;
+        };
+        const sanitizeSections = (owner, sanitizeItem) => {
+            owner.sections = keepObjects(owner.sections);
+            owner.sections.forEach(sec => {
+                if (!isId(sec.id)) sec.id = this._generateId();
+                if (sec.templateSectionId !== undefined && !isId(sec.templateSectionId)) delete sec.templateSectionId;
+                if (typeof sec.title !== 'string') sec.title = '名称未設定';
+                sanitizeTags(sec);
+                sec.items = sanitizeItems(sec.items, sanitizeItem);
+            });
+        };
+        // Anything runDueSchedules() can't evaluate drops the whole schedule
+        const isDateKey = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+        const isSchedule = schedule => {
+            if (!isObject(schedule) || !isDateKey(schedule.startDate)) return false;
+            if (!['daily', 'weekly', 'monthly', 'interval'].includes(schedule.type)) return false;
+            if (!Array.isArray(schedule.weekdays) || !schedule.weekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) return false;
+            if (!Number.isInteger(schedule.dayOfMonth) || schedule.dayOfMonth < 1 || schedule.dayOfMonth > 31) return false;
+            if (!Number.isInteger(schedule.intervalDays) || schedule.intervalDays < 1) return false;
+            if (!['keep', 'archive', 'flag'].includes(schedule.previousInstance)) schedule.previousInstance = 'keep';
+            if (!isDateKey(schedule.lastRunDate)) schedule.lastRunDate = null;
+            return true;
+        };
+        // A section that includes another template has no items of its own
+        const sanitizeInclude = sec => {
+            if (!isId(sec.includeTemplateId)) {
+                delete sec.includeTemplateId;
+                return;
+            }
+            dropped += sec.items.length;
+            sec.items = [];
+        };
+
+        data.templates = keepObjects(data.templates);
+        data.templates.forEach(tpl => {
+            sanitizeEntity(tpl);
+            sanitizeSections(tpl, item => {
+                if (!isId(item.id)) item.id = this._generateId();
+            });
+            tpl.sections.forEach(sanitizeInclude);
+            if (typeof tpl.contentUpdatedAt !== 'number') tpl.contentUpdatedAt = tpl.updatedAt;
+            if (!Array.isArray(tpl.revisions)) tpl.revisions = [];
+            tpl.revisions = tpl.revisions.filter(rev => isObject(rev) && isId(rev.id) && Array.isArray(rev.sections));
+            // Revisions are diffed and restored like the template itself, so they get the same checks
+            tpl.revisions.forEach(rev => {
+                if (typeof rev.savedAt !== 'number') rev.savedAt = tpl.contentUpdatedAt;
+                if (typeof rev.title !== 'string') rev.title = tpl.title;
+                sanitizeSections(rev, item => {
+                    if (!isId(item.id)) item.id = this._generateId();
+                });
+                rev.sections.forEach(sanitizeInclude);
+            });
+            if (tpl.schedule !== undefined && !isSchedule(tpl.schedule)) delete tpl.schedule;
+            if (tpl.autoArchive !== undefined) {
+                if (isObject(tpl.autoArchive)) {
+                    tpl.autoArchive = this._sanitizeAutoArchive(tpl.autoArchive, this._getDefaultSettings().autoArchive);
+                } else {
+                    delete tpl.autoArchive;
+                }
+            }
+        });
+
+        data.groups = keepObjects(data.groups);
+        data.groups.forEach((group, index) => {
+            sanitizeEntity(group);
+            // Data from before positions were stored keeps its array order
+            if (typeof group.order !== 'number' || !Number.isFinite(group.order)) group.order = index;
+            if (group.status !== 'active' && group.status !== 'archived') group.status = 'active';
+            if (!isId(group.templateId)) group.templateId = null;
+            if (group.variables !== undefined && !isObject(group.variables)) delete group.variables;
+            if (group.tags !== undefined && !Array.isArray(group.tags)) delete group.tags;
+            if (typeof group.dueAt !== 'number') delete group.dueAt;
+            sanitizeSections(group, item => {
+                if (!isId(item.id)) item.id = this._generateId();
+                if (item.templateItemId !== undefined && !isId(item.templateItemId)) delete item.templateItemId;
+                item.completed = item.completed === true;
+                if (typeof item.completedAt !== 'number' || !item.completed) delete item.completedAt;
+                if (!Number.isInteger(item.reopenCount)) delete item.reopenCount;
+                if (typeof item.dueAt !== 'number') delete item.dueAt;
+                if (item.quantity) {
+                    const count = Number.isInteger(item.count) ? item.count : 0;
+                    item.count = item.completed ? item.quantity : Math.min(Math.max(count, 0), item.quantity - 1);
+                } else {
+                    delete item.count;
+                }
+            });
+        });
+        data.groups.sort((a, b) => a.order - b.order);
+
+        this._pruneTombstones(data.tombstones);
+        data.settings = this._sanitizeSettings(data.settings);
+        return dropped;
+    }
+
+    // Fills in missing or invalid settings from the defaults
+    _sanitizeSettings(settings) {
+        const defaults = this._getDefaultSettings();
+        if (!settings || typeof settings !== 'object') return defaults;
+        if (typeof settings.updatedAt !== 'number') settings.updatedAt = 0;
+        Object.keys(defaults).forEach(key => {
+            if (key === 'updatedAt' || key === 'webhooks') return;
+            if (!settings[key] || typeof settings[key] !== 'object') {
+                settings[key] = defaults[key];
+            } else {
+                settings[key] = { ...defaults[key], ...settings[key] };
+            }
+        });
+        const positiveOrNull = value => (Number.isInteger(value) && value > 0 ? value : null);
+        settings.retention.maxPerTemplate = positiveOrNull(settings.retention.maxPerTemplate);
+        settings.retention.maxAgeDays = positiveOrNull(settings.retention.maxAgeDays);
+        settings.autoArchive = this._sanitizeAutoArchive(settings.autoArchive, defaults.autoArchive);
+        settings.webhooks = Array.isArray(settings.webhooks)
+            ? settings.webhooks.filter(hook => hook && this.isWebhookUrl(hook.url)).map(hook => this._sanitizeWebhook(hook))
+            : defaults.webhooks;
+        return settings;
+    }
+
+    _sanitizeWebhook(hook) {
+        return {
+            id: this.isValidId(hook.id) ? hook.id : this._generateId(),
+            url: hook.url,
+            events: Array.isArray(hook.events) ? this.EVENT_TYPES.filter(type => hook.events.includes(type)) : [],
+            enabled: typeof hook.enabled === 'boolean' ? hook.enabled : true
+        };
+    }
+
+    _sanitizeAutoArchive(autoArchive, defaults) {
+        const delay = autoArchive.delaySeconds;
+        return {
+            enabled: typeof autoArchive.enabled === 'boolean' ? autoArchive.enabled : defaults.enabled,
+            delaySeconds: Number.isInteger(delay) && delay >= 0 ? Math.min(delay, this.MAX_AUTO_ARCHIVE_DELAY) : defaults.delaySeconds,
+            confirm: typeof autoArchive.confirm === 'boolean' ? autoArchive.confirm : defaults.confirm
+        };
+    }
+
+    // Copies an unreadable payload aside so it survives later saves
+    async _quarantine(raw) {
+        const key = `${this.STORAGE_KEY}_quarantine_${Date.now()}`;
+        try {
+            await this.storage.set(key, raw);
+            return key;
+        } catch (e) {
+            console.error('Failed to quarantine unreadable data:', e);
+            return null;
+        }
+    }
+
+    async _readSnapshots() {
+        try {
+            let snapshots = await this.storage.get(this.SNAPSHOT_KEY);
+            if (typeof snapshots === 'string') snapshots = JSON.parse(snapshots);
+            return Array.isArray(snapshots) ? snapshots : [];
+        } catch (e) {
+            console.error('Failed to read snapshots:', e);
+            return [];
+        }
+    }
+
+    // Counted from the last attempt, so data too big to keep a snapshot of isn't copied on every save
+    _isSnapshotDue() {
+        return Date.now() - this._lastSnapshotAt >= this.SNAPSHOT_INTERVAL;
+    }
+
+    /**
+     * Snapshots what is stored right before it is overwritten, so the newest
+     * snapshot can undo the change that prompted it. A failed snapshot never
+     * blocks the save itself.
+     */
+    async _snapshotStoredData() {
+        if (!this._isSnapshotDue()) return;
+        try {
+            let stored = await this.storage.get(this.STORAGE_KEY);
+            if (typeof stored === 'string') stored = JSON.parse(stored);
+            if (stored && typeof stored === 'object') this._writeSnapshot(stored, true);
+        } catch (e) {
+            console.error('Failed to snapshot stored data:', e);
+        }
+    }
+
+    /**
+     * Appends `data` as a rolling snapshot, at most once per SNAPSHOT_INTERVAL
+     * unless forced. Template revisions are left out to keep snapshots small;
+     * restoring keeps the current ones.
+     */
+    _writeSnapshot(data, force = false) {
+        if (!force && !this._isSnapshotDue()) return;
+        this._lastSnapshotAt = Date.now();
+
+        const copy = JSON.parse(JSON.stringify(data));
+        (copy.templates || []).forEach(tpl => { if (tpl) delete tpl.revisions; });
+        this.snapshots.push({ id: this._generateId(), createdAt: Date.now(), data: copy });
+        while (this.snapshots.length > this.MAX_SNAPSHOTS) this.snapshots.shift();
+        if (this.storage instanceof LocalStorageAdapter) {
+            while (this.snapshots.length > 0 && JSON.stringify(this.snapshots).length > this.MAX_LOCAL_SNAPSHOT_SIZE) {
+                this.snapshots.shift();
+            }
+        }
+        this.storage.set(this.SNAPSHOT_KEY, this.snapshots).catch(e => {
+            console.error('Failed to write snapshot:', e);
+        });
+    }
+
+    getSnapshots() {
+        return this.snapshots
+            .map(snap => ({
+                id: snap.id,
+                createdAt: snap.createdAt,
+                templateCount: (snap.data && snap.data.templates || []).length,
+                groupCount: (snap.data && snap.data.groups || []).length
+            }))
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    restoreSnapshot(snapshotId) {
+        const snapshot = this.snapshots.find(s => s.id === snapshotId);
+        if (!snapshot) return false;
+
+        let data;
+        try {
+            ({ data } = this._parseDocument(JSON.stringify(snapshot.data)));
+        } catch (e) {
+            console.error('Failed to restore snapshot:', e);
+            return false;
+        }
+        this._sanitizeData(data);
+        data.templates.forEach(tpl => {
+            const current = this.data.templates.find(t => t.id === tpl.id);
+            if (tpl.revisions.length === 0 && current) tpl.revisions = current.revisions;
+        });
+        // Like undo, a restored state is a new change, so tombstones from later deletes don't win
+        [...data.templates, ...data.groups].forEach(entity => this._touch(entity));
+
+        // Keep the current state restorable too, unless it is the empty fallback
+        if (!this.loadIssue) this._writeSnapshot(this.data, true);
+        this.loadIssue = null;
+        this.data = data;
+        this._saveData();
+        return true;
+    }
+
+    // Accepts the data as loaded (repaired or empty) and resumes saving
+    resolveLoadIssue() {
+        this.loadIssue = null;
+        this._saveData();
+    }
+
+    _generateId() {
+        return crypto.randomUUID();
+    }
+
+    // Ids are always UUIDs; anything else in loaded or imported data is replaced or dropped
+    isValidId(id) {
+        return typeof id === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id);
+    }
+
+    // Hands over (and forgets) the ids changed since the last call, for HistoryManager
+    takeChangedIds() {
+        const ids = this._changedIds;
+        this._changedIds = new Set();
+        return ids;
+    }
+
+    _touch(obj, isNew = false) {
+        const now = Date.now();
+        this._changedIds.add(obj.id);
+        if (isNew) {
+            obj.createdAt = now;
+        }
+        obj.updatedAt = now;
+    }
+
+    getTemplates() {
+        return this.data.templates;
+    }
+
+    // --- Template Methods ---
+
+    createTemplate(title, sectionsData) {
+        // sectionsData: [{title: "Section Title", items: ["Item1", "Item2"]}]
+        const newTemplate = {
+            id: this._generateId(),
+            title: title,
+            sections: this._buildTemplateSections(sectionsData, [])
+        };
+        this._touch(newTemplate, true);
+        newTemplate.contentUpdatedAt = newTemplate.updatedAt;
+        newTemplate.revisions = [];
+        this._addTemplateRevision(newTemplate);
+        this.data.templates.push(newTemplate);
+        this._emit('templateSaved', { template: this._templateEventData(newTemplate), created: true });
+        this._saveData();
+        return newTemplate;
+    }
+
+    updateTemplate(id, title, sectionsData) {
+        const template = this.data.templates.find(t => t.id === id);
+        if (!template) return null;
+
+        // Templates saved before revisions existed: keep their current state as the first one
+        if (template.revisions.length === 0) this._addTemplateRevision(template, template.contentUpdatedAt);
+
+        if (title !== undefined) template.title = title;
+        if (sectionsData !== undefined) {
+            template.sections = this._buildTemplateSections(sectionsData, template.sections);
+        }
+
+        this._touch(template);
+        template.contentUpdatedAt = template.updatedAt;
+        this._addTemplateRevision(template);
+        this._emit('templateSaved', { template: this._templateEventData(template), created: false });
+        this._saveData();
+        return template;
+    }
+
+    // --- Template Revisions ---
+
+    // Appends the template's current title/sections as a revision (oldest first)
+    _addTemplateRevision(template, savedAt = Date.now()) {
+        template.revisions.push({
+            id: this._generateId(),
+            savedAt,
+            title: template.title,
+            sections: JSON.parse(JSON.stringify(template.sections))
+        });
+        if (template.revisions.length > this.MAX_TEMPLATE_REVISIONS) {
+            template.revisions.splice(0, template.revisions.length - this.MAX_TEMPLATE_REVISIONS);
+        }
+    }
+
+    getTemplateRevisions(templateId) {
+        const template = this.data.templates.find(t => t.id === templateId);
+        return template ? template.revisions : [];
+    }
+
+    /**
+     * Item-by-item changes from one revision to the next, matched by the
+     * stable section/item ids. `before` may be null for the first revision.
+     * Returns [{ type: 'added' | 'removed' | 'renamed', kind: 'title' | 'section' | 'item', text, from, to, section }]
+     */
+    diffTemplateRevisions(before, after) {
+        const changes = [];
+        const oldSections = before ? before.sections : [];
+        if (before && before.title !== after.title) {
+            changes.push({ type: 'renamed', kind: 'title', from: before.title, to: after.title });
+        }
+
+        const oldItems = new Map();
+        oldSections.forEach(sec => this.flattenItems(sec.items).forEach(item => oldItems.set(item.id, { item, section: sec })));
+        const newItemIds = new Set();
+
+        after.sections.forEach(sec => {
+            const oldSection = oldSections.find(s => s.id === sec.id);
+            if (!oldSection) {
+                changes.push({ type: 'added', kind: 'section', text: sec.title });
+            } else if (oldSection.title !== sec.title) {
+                changes.push({ type: 'renamed', kind: 'section', from: oldSection.title, to: sec.title });
+            }
+            this.flattenItems(sec.items).forEach(item => {
+                newItemIds.add(item.id);
+                const old = oldItems.get(item.id);
+                if (!old) {
+                    changes.push({ type: 'added', kind: 'item', text: item.text, section: sec.title });
+                } else if (old.item.text !== item.text) {
+                    changes.push({ type: 'renamed', kind: 'item', from: old.item.text, to: item.text, section: sec.title });
+                }
+            });
+        });
+
+        oldSections.forEach(sec => {
+            if (!after.sections.some(s => s.id === sec.id)) {
+                changes.push({ type: 'removed', kind: 'section', text: sec.title });
+            }
+            this.flattenItems(sec.items).forEach(item => {
+                if (!newItemIds.has(item.id)) changes.push({ type: 'removed', kind: 'item', text: item.text, section: sec.title });
+            });
+        });
+
+        return changes;
+    }
+
+    /**
+     * Brings back an earlier revision, either as the template's current
+     * version (recorded as a new revision, so nothing is lost) or as a
+     * separate new template.
+     */
+    restoreTemplateRevision(templateId, revisionId, asNewTemplate = false) {
+        const template = this.data.templates.find(t => t.id === templateId);
+        const revision = template && template.revisions.find(rev => rev.id === revisionId);
+        if (!revision) return null;
+
+        if (asNewTemplate) {
+            const sectionsData = revision.sections.map(sec => ({
+                title: sec.title,
+                ...this._sectionDetails(sec),
+                items: this._copyTemplateItems(sec.items)
+            }));
+            return this.createTemplate(revision.title, sectionsData);
+        }
+        return this.updateTemplate(templateId, revision.title, revision.sections);
+    }
+
+    /**
+     * Builds template sections from editor data, keeping the ids of sections
+     * and items that already existed so started groups stay linked to them.
+     * Sections/items may carry their previous `id`; those without one (e.g.
+     * from pasted text) are matched to an unused previous one by title/text.
+     * sectionsData: [{id?, title, items: [text | {id?, text, children?}]}]
+     */
+    _buildTemplateSections(sectionsData, previousSections) {
+        const previousItems = previousSections.flatMap(sec => this.flattenItems(sec.items));
+        const usedIds = new Set();
+        const claim = (candidates, matches) => {
+            const found = candidates.find(c => !usedIds.has(c.id) && matches(c));
+            if (!found) return null;
+            usedIds.add(found.id);
+            return found.id;
+        };
+        // Given ids are kept even if no longer present (e.g. restoring a revision)
+        const keep = id => {
+            if (usedIds.has(id)) return this._generateId();
+            usedIds.add(id);
+            return id;
+        };
+
+        return sectionsData.map(sec => {
+            const sectionId = sec.id
+                ? keep(sec.id)
+                : claim(previousSections, c => c.title === sec.title) || this._generateId();
+            const ownItems = this.flattenItems((previousSections.find(c => c.id === sectionId) || { items: [] }).items);
+            const buildItems = entries => entries.map(entry => {
+                const item = typeof entry === 'string' ? { text: entry } : entry;
+                // Prefer a same-text item in the same section, then anywhere in the template
+                const id = item.id
+                    ? keep(item.id)
+                    : claim(ownItems, c => c.text === item.text) || claim(previousItems, c => c.text === item.text) || this._generateId();
+                const built = { id, text: item.text, ...this._itemDetails(item) };
+                if (item.children && item.children.length > 0) built.children = buildItems(item.children);
+                return built;
+            });
+            // Include sections take their items from the included template
+            const items = sec.includeTemplateId ? [] : buildItems(sec.items);
+            return { id: sectionId, title: sec.title, ...this._sectionDetails(sec), items };
+        });
+    }
+
+    // Editor-style copy of template items (texts, details and children, no ids)
+    _copyTemplateItems(items) {
+        return items.map(item => ({
+            text: item.text,
+            ...this._itemDetails(item),
+            children: this._copyTemplateItems(item.children || [])
+        }));
+    }
+
+    // The note, quantity, optional flag and tags of an item, as carried between templates and groups
+    _itemDetails(item) {
+        const details = this._sectionDetails(item);
+        if (item.note) details.note = item.note;
+        if (item.quantity > 1) details.quantity = item.quantity;
+        if (item.optional) details.optional = true;
+        return details;
+    }
+
+    // Condition tags of a section (or item), when it has any, and the template a section includes
+    _sectionDetails(section) {
+        const details = section.tags && section.tags.length > 0 ? { tags: [...section.tags] } : {};
+        if (section.includeTemplateId) details.includeTemplateId = section.includeTemplateId;
+        return details;
+    }
+
+    deleteTemplate(id) {
+        const template = this.data.templates.find(t => t.id === id);
+        this.data.templates = this.data.templates.filter(t => t.id !== id);
+        this._recordDeletion(id);
+        if (template) this._emit('templateDeleted', { template: this._templateEventData(template) });
+        this._saveData();
+    }
+
+    duplicateTemplate(templateId) {
+        const template = this.data.templates.find(t => t.id === templateId);
+        if (!template) return null;
+
+        // Deep copy sections and items
+        const sectionsData = template.sections.map(sec => ({
+            title: sec.title,
+            ...this._sectionDetails(sec),
+            items: this._copyTemplateItems(sec.items)
+        }));
+
+        return this.createTemplate(template.title + ' のコピー', sectionsData);
+    }
+
+    /**
+     * Turns a group's sections/items into a new template, or with
+     * `updateSource` writes them back to the template the group came from
+     * (keeping item links, placeholders whose filled text is unchanged,
+     * tagged sections/items that weren't chosen for this run, and include
+     * sections; the group's sections that came from an included template are
+     * left for that template).
+     * options: { title, dropUnchecked, updateSource }
+     * Returns the template, or null if nothing would be left to save.
+     */
+    saveGroupAsTemplate(groupId, options = {}) {
+        const group = this.data.groups.find(g => g.id === groupId);
+        if (!group) return null;
+        const source = options.updateSource ? this.data.templates.find(t => t.id === group.templateId) : null;
+        if (options.updateSource && !source) return null;
+
+        const fill = text => this._fillPlaceholders(text, group.variables || {});
+        const tplSections = source ? source.sections : [];
+        const tplItems = new Map(tplSections.flatMap(sec => this.flattenItems(sec.items).map(item => [item.id, item])));
+        const unfill = (templateText, text) => (templateText !== undefined && fill(templateText) === text ? templateText : text);
+
+        // A parent stays when any of its children do
+        const keepItems = items => items
+            .map(item => ({ item, children: keepItems(item.children || []) }))
+            .filter(entry => !options.dropUnchecked || entry.item.completed || entry.children.length > 0);
+        const ownSectionIds = new Set(tplSections.map(sec => sec.id));
+        const includedSectionIds = new Set(source
+            ? this.resolveTemplateSections(source.id).map(sec => sec.id).filter(id => !ownSectionIds.has(id))
+            : []);
+        const kept = group.sections
+            .filter(sec => !includedSectionIds.has(sec.templateSectionId))
+            .map(sec => ({ section: sec, items: keepItems(sec.items) }))
+            .filter(entry => entry.items.length > 0 || !options.dropUnchecked);
+        if (kept.length === 0) return null;
+
+        const toTemplateItems = entries => entries.map(({ item, children }) => {
+            const tplItem = tplItems.get(item.templateItemId);
+            return {
+                id: tplItem ? tplItem.id : null,
+                text: tplItem ? unfill(tplItem.text, item.text) : item.text,
+                ...this._itemDetails(item),
+                children: toTemplateItems(children),
+                origin: item
+            };
+        });
+        const sectionsData = kept.map(({ section, items }) => {
+            const tplSection = tplSections.find(sec => sec.id === section.templateSectionId);
+            return {
+                id: tplSection ? tplSection.id : null,
+                title: unfill(tplSection && tplSection.title, section.title),
+                ...this._sectionDetails(section),
+                items: toTemplateItems(items),
+                origin: section
+            };
+        });
+
+        if (!source) return this.createTemplate(options.title || group.title, sectionsData);
+
+        // Template sections/items left out of this run by its tags were never in the group; keep them
+        const selectedTags = group.tags || [];
+        const restoreItems = (tplList, entries) => tplList.forEach((tplItem, i) => {
+            if (!this._matchesTags(tplItem, selectedTags)) {
+                entries.splice(Math.min(i, entries.length), 0, tplItem);
+                return;
+            }
+            const entry = entries.find(e => e.id === tplItem.id);
+            if (entry) restoreItems(tplItem.children || [], entry.children);
+        });
+        tplSections.forEach((tplSection, i) => {
+            if (tplSection.includeTemplateId || !this._matchesTags(tplSection, selectedTags)) {
+                sectionsData.splice(Math.min(i, sectionsData.length), 0, tplSection);
+                return;
+            }
+            const entry = sectionsData.find(sec => sec.id === tplSection.id);
+            if (entry) restoreItems(tplSection.items, entry.items);
+        });
+
+        this.updateTemplate(source.id, undefined, sectionsData);
+        // The group is where these edits came from, so link it to the saved version
+        const link = (entries, tplList) => entries.forEach((entry, j) => {
+            if (entry.origin) entry.origin.templateItemId = tplList[j].id;
+            link(entry.children || [], tplList[j].children || []);
+        });
+        source.sections.forEach((tplSection, i) => {
+            if (sectionsData[i].origin) sectionsData[i].origin.templateSectionId = tplSection.id;
+            link(sectionsData[i].items, tplSection.items);
+        });
+        group.templateSyncedAt = this.getTemplateContentUpdatedAt(source);
+        this._touch(group);
+        this._saveData();
+        return source;
+    }
+
+    getGroups(statusFilter = 'all') {
+        if (statusFilter === 'all') return this.data.groups;
+        return this.data.groups.filter(g => g.status === statusFilter);
+    }
+
+    // --- Template Placeholders ---
+
+    /**
+     * Lists the `{{name}}` placeholders used in a template's title, section
+     * titles and items, in order of first appearance.
+     */
+    getTemplateVariables(templateId) {
+        const template = this.data.templates.find(t => t.id === templateId);
+        if (!template) return [];
+
+        const names = [];
+        const collect = text => {
+            for (const match of text.matchAll(this.PLACEHOLDER_PATTERN)) {
+                if (!names.includes(match[1])) names.push(match[1]);
+            }
+        };
+        collect(template.title);
+        this.resolveTemplateSections(templateId).forEach(sec => {
+            collect(sec.title);
+            this.flattenItems(sec.items).forEach(item => collect(item.text));
+        });
+        return names;
+    }
+
+    // Values available to every template without asking the user
+    getBuiltinVariables(now = new Date()) {
+        return {
+            date: now.toLocaleDateString('ja-JP'),
+            weekday: now.toLocaleDateString('ja-JP', { weekday: 'long' }),
+            time: now.toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit' })
+        };
+    }
+
+    _fillPlaceholders(text, values) {
+        return text.replace(this.PLACEHOLDER_PATTERN, (placeholder, name) => (
+            Object.hasOwn(values, name) && values[name] !== undefined ? values[name] : placeholder
+        ));
+    }
+
+    /**
+     * Starts a group from a template, with included templates expanded in
+     * place. Sections and items with condition tags are only included when
+     * one of their tags is in `tags`; untagged ones always are.
+     */
+    createGroupFromTemplate(templateId, values = {}, tags = []) {
+        const template = this.data.templates.find(t => t.id === templateId);
+        if (!template) {
+            console.error('Template not found');
+            return null;
+        }
+
+        const vars = { ...this.getBuiltinVariables(), ...values };
+        const fill = text => this._fillPlaceholders(text, vars);
+        const include = entity => this._matchesTags(entity, tags);
+
+        // Deep copy sections and items, adding status
+        const groupSections = this.resolveTemplateSections(template.id, include).filter(include).map(sec => ({
+            id: this._generateId(),
+            templateSectionId: sec.id,
+            title: fill(sec.title),
+            ...this._sectionDetails(sec),
+            items: sec.items.filter(include).map(item => this._createItemFromTemplate(item, fill, include))
+        }));
+
+        const newGroup = {
+            id: this._generateId(),
+            templateId: template.id,
+            // Remembered so later template changes can be filled (and filtered) the same way
+            variables: vars,
+            tags: [...tags],
+            templateSyncedAt: this.getTemplateContentUpdatedAt(template),
+            status: 'active',
+            title: fill(template.title),
+            sections: groupSections
+        };
+        this._touch(newGroup, true);
+        this._addGroup(newGroup);
+        this._emit('groupCreated', { group: this._groupEventData(newGroup) });
+        this._saveData();
+        return newGroup;
+    }
+
+    // Children for which `include` returns false are left out
+    _createItemFromTemplate(item, fill, include = () => true) {
+        const created = {
+            id: this._generateId(),
+            templateItemId: item.id,
+            text: fill(item.text),
+            completed: false,
+            ...this._itemDetails(item)
+        };
+        if (created.quantity) created.count = 0;
+        const children = (item.children || []).filter(include);
+        if (children.length > 0) created.children = children.map(child => this._createItemFromTemplate(child, fill, include));
+        return created;
+    }
+
+    // --- Conditional Tags ---
+
+    // Untagged sections/items always match; tagged ones need one of their tags selected
+    _matchesTags(entity, selectedTags) {
+        return !entity.tags || entity.tags.length === 0 || entity.tags.some(tag => selectedTags.includes(tag));
+    }
+
+    // Every condition tag used in a template's sections and items, included templates' too
+    getTemplateTags(templateId) {
+        const template = this.data.templates.find(t => t.id === templateId);
+        if (!template) return [];
+        const tags = new Set();
+        const addTags = entity => (entity.tags || []).forEach(tag => tags.add(tag));
+        const sections = this.resolveTemplateSections(templateId, sec => {
+            addTags(sec);
+            return true;
+        });
+        sections.forEach(sec => {
+            addTags(sec);
+            this.flattenItems(sec.items).forEach(addTags);
+        });
+        return [...tags];
+    }
+
+    // --- Template Includes ---
+
+    /**
+     * A template's sections with every include section replaced by the
+     * sections of the template it references, expanded the same way. Each
+     * template is expanded at most once, so include cycles (and the same
+     * template included twice) can't repeat content; includes of missing
+     * templates are left out. Include sections for which `include` returns
+     * false are skipped. The returned sections are the templates' own objects.
+     */
+    resolveTemplateSections(templateId, include = () => true, expanded = new Set()) {
+        const template = this.data.templates.find(t => t.id === templateId);
+        if (!template || expanded.has(templateId)) return [];
+        expanded.add(templateId);
+        return template.sections.flatMap(sec => {
+            if (!sec.includeTemplateId) return [sec];
+            return include(sec) ? this.resolveTemplateSections(sec.includeTemplateId, include, expanded) : [];
+        });
+    }
+
+    // Ids of every template reachable through a template's include sections
+    getIncludedTemplateIds(templateId) {
+        const ids = new Set();
+        const visit = id => {
+            const template = this.data.templates.find(t => t.id === id);
+            if (!template) return;
+            template.sections.forEach(sec => {
+                if (!sec.includeTemplateId || ids.has(sec.includeTemplateId)) return;
+                ids.add(sec.includeTemplateId);
+                visit(sec.includeTemplateId);
+            });
+        };
+        visit(templateId);
+        return ids;
+    }
+
+    // Templates that can be included in `templateId` without creating a cycle (all of them for a new template)
+    getIncludableTemplates(templateId = null) {
+        return this.data.templates.filter(tpl => (
+            tpl.id !== templateId && !(templateId && this.getIncludedTemplateIds(tpl.id).has(templateId))
+        ));
+    }
+
+    // Templates that include `templateId`, directly or through another template
+    getTemplatesIncluding(templateId) {
+        return this.data.templates.filter(tpl => tpl.id !== templateId && this.getIncludedTemplateIds(tpl.id).has(templateId));
+    }
+
+    // Latest content change of a template or anything it includes
+    getTemplateContentUpdatedAt(template) {
+        return [...this.getIncludedTemplateIds(template.id)].reduce((latest, id) => {
+            const included = this.data.templates.find(t => t.id === id);
+            return included ? Math.max(latest, included.contentUpdatedAt) : latest;
+        }, template.contentUpdatedAt);
+    }
+
+    // --- Template Sync ---
+
+    // True when the group's template (or one it includes) was edited after the group last pulled from it
+    isGroupTemplateUpdated(group) {
+        const template = this.data.templates.find(t => t.id === group.templateId);
+        return !!template && group.status === 'active' && this.getTemplateContentUpdatedAt(template) > (group.templateSyncedAt || 0);
+    }
+
+    /**
+     * Compares an active group with the current version of its template.
+     * Group sections/items are matched to the template by templateSectionId /
+     * templateItemId, so renames keep completion state. Included templates
+     * are compared as expanded in place. Items the user added to the group
+     * themselves are never reported, nor are new tagged sections/items that
+     * don't match the tags the group was started with.
+     * Returns a list of changes, each with a unique `key`:
+     *   { type: 'renameGroup', from, to }
+     *   { type: 'addSection', templateSectionId, title, items: [text] }
+     *   { type: 'renameSection', sectionId, from, to }
+     *   { type: 'addItem', sectionId, templateItemId, text }
+     *   { type: 'renameItem', sectionId, itemId, from, to }
+     *   { type: 'removeItem', sectionId, itemId, text, completed }
+     */
+    diffGroupWithTemplate(groupId) {
+        const group = this.data.groups.find(g => g.id === groupId);
+        const template = group && this.data.templates.find(t => t.id === group.templateId);
+        if (!template) return [];
+
+        const fill = text => this._fillPlaceholders(text, group.variables || this.getBuiltinVariables());
+        const changes = [];
+        if (group.title !== fill(template.title)) {
+            changes.push({ key: 'renameGroup', type: 'renameGroup', from: group.title, to: fill(template.title) });
+        }
+        const linkedItems = new Map();
+        group.sections.forEach(sec => this.flattenItems(sec.items).forEach(item => {
+            if (item.templateItemId) linkedItems.set(item.templateItemId, { section: sec, item });
+        }));
+        const tplSections = this.resolveTemplateSections(template.id, sec => this._matchesTags(sec, group.tags || []));
+        const templateItemIds = new Set(tplSections.flatMap(sec => this.flattenItems(sec.items).map(item => item.id)));
+        const isNew = entity => this._matchesTags(entity, group.tags || []) && !linkedItems.has(entity.id);
+
+        tplSections.forEach(tplSection => {
+            const section = group.sections.find(sec => sec.templateSectionId === tplSection.id);
+            // Sections outside the group's variant are only looked at for items it already has
+            if (!section && this._matchesTags(tplSection, group.tags || [])) {
+                const newItems = tplSection.items.filter(isNew);
+                changes.push({
+                    key: `addSection:${tplSection.id}`,
+                    type: 'addSection',
+                    templateSectionId: tplSection.id,
+                    title: fill(tplSection.title),
+                    items: newItems.map(item => fill(item.text))
+                });
+            } else if (section && section.title !== fill(tplSection.title)) {
+                changes.push({
+                    key: `renameSection:${section.id}`,
+                    type: 'renameSection',
+                    sectionId: section.id,
+                    from: section.title,
+                    to: fill(tplSection.title)
+                });
+            }
+
+            const compareItems = tplItems => tplItems.forEach(tplItem => {
+                const linked = linkedItems.get(tplItem.id);
+                if (!linked) {
+                    // Items of a brand new section or parent are added together with it
+                    if (section && isNew(tplItem)) {
+                        changes.push({
+                            key: `addItem:${tplItem.id}`,
+                            type: 'addItem',
+                            sectionId: section.id,
+                            templateItemId: tplItem.id,
+                            text: fill(tplItem.text)
+                        });
+                    }
+                    return;
+                }
+                if (linked.item.text !== fill(tplItem.text)) {
+                    changes.push({
+                        key: `renameItem:${linked.item.id}`,
+                        type: 'renameItem',
+                        sectionId: linked.section.id,
+                        itemId: linked.item.id,
+                        from: linked.item.text,
+                        to: fill(tplItem.text)
+                    });
+                }
+                compareItems(tplItem.children || []);
+            });
+            compareItems(tplSection.items);
+        });
+
+        linkedItems.forEach(({ section, item }, templateItemId) => {
+            if (templateItemIds.has(templateItemId)) return;
+            changes.push({
+                key: `removeItem:${item.id}`,
+                type: 'removeItem',
+                sectionId: section.id,
+                itemId: item.id,
+                text: item.text,
+                completed: item.completed
+            });
+        });
+
+        return changes;
+    }
+
+    /**
+     * Applies the chosen changes from diffGroupWithTemplate and marks the
+     * group as in sync with the template. Pass an empty list to dismiss.
+     */
+    applyTemplateChanges(groupId, changes) {
+        const group = this.data.groups.find(g => g.id === groupId);
+        const template = group && this.data.templates.find(t => t.id === group.templateId);
+        if (!template) return null;
+
+        const fill = text => this._fillPlaceholders(text, group.variables || this.getBuiltinVariables());
+        const tplSections = this.resolveTemplateSections(template.id, sec => this._matchesTags(sec, group.tags || []));
+        const findSection = id => group.sections.find(sec => sec.id === id);
+        const groupItems = () => group.sections.flatMap(sec => this.flattenItems(sec.items));
+        // Template items not already in the group and matching the group's tags
+        const includeNew = () => {
+            const linked = new Set(groupItems().map(item => item.templateItemId));
+            return item => !linked.has(item.id) && this._matchesTags(item, group.tags || []);
+        };
+
+        changes.forEach(change => {
+            const section = change.sectionId ? findSection(change.sectionId) : null;
+            switch (change.type) {
+                case 'renameGroup':
+                    group.title = change.to;
+                    break;
+                case 'addSection': {
+                    const tplIndex = tplSections.findIndex(sec => sec.id === change.templateSectionId);
+                    const tplSection = tplSections[tplIndex];
+                    if (!tplSection) return;
+                    const include = includeNew();
+                    const newSection = {
+                        id: this._generateId(),
+                        templateSectionId: tplSection.id,
+                        title: fill(tplSection.title),
+                        ...this._sectionDetails(tplSection),
+                        items: tplSection.items
+                            .filter(include)
+                            .map(item => this._createItemFromTemplate(item, fill, include))
+                    };
+                    // Place it after the group section linked to the preceding template section
+                    const before = tplSections.slice(0, tplIndex).map(sec => sec.id);
+                    let insertAt = 0;
+                    group.sections.forEach((sec, i) => {
+                        if (before.includes(sec.templateSectionId)) insertAt = i + 1;
+                    });
+                    group.sections.splice(insertAt, 0, newSection);
+                    break;
+                }
+                case 'renameSection':
+                    if (section) section.title = change.to;
+                    break;
+                case 'addItem': {
+                    const tplFound = tplSections
+                        .map(sec => this._findItemIn(sec.items, change.templateItemId))
+                        .find(Boolean);
+                    if (!section || !tplFound) return;
+                    // Under the group item linked to the template parent, if the group still has one
+                    const items = groupItems();
+                    const parent = tplFound.parent && items.find(item => item.templateItemId === tplFound.parent.id);
+                    if (parent && !parent.children) parent.children = [];
+                    const list = parent ? parent.children : section.items;
+                    const before = tplFound.list.slice(0, tplFound.index).map(item => item.id);
+                    let insertAt = 0;
+                    list.forEach((item, i) => {
+                        if (before.includes(item.templateItemId)) insertAt = i + 1;
+                    });
+                    list.splice(insertAt, 0, this._createItemFromTemplate(tplFound.item, fill, includeNew()));
+                    break;
+                }
+                case 'renameItem': {
+                    const found = section && this._findItemIn(section.items, change.itemId);
+                    if (found) found.item.text = change.to;
+                    break;
+                }
+                case 'removeItem': {
+                    const found = section && this._findItemIn(section.items, change.itemId);
+                    if (found) found.list.splice(found.index, 1);
+                    break;
+                }
+            }
+        });
+
+        group.sections.forEach(sec => this._syncParentCompletion(sec.items));
+        group.templateSyncedAt = this.getTemplateContentUpdatedAt(template);
+        this._touch(group);
+        this._saveData();
+        return group;
+    }
+
+    // --- Recurring Schedules ---
+
+    /**
+     * Attaches a recurrence to a template, or removes it with null.
+     * schedule: { type: 'daily' | 'weekly' | 'monthly' | 'interval',
+     *   weekdays: [0-6], dayOfMonth: 1-31, intervalDays: N,
+     *   startDate: 'YYYY-MM-DD', previousInstance: 'keep' | 'archive' | 'flag' }
+     */
+    setTemplateSchedule(templateId, schedule) {
+        const template = this.data.templates.find(t => t.id === templateId);
+        if (!template) return null;
+
+        if (schedule) {
+            template.schedule = {
+                type: schedule.type,
+                weekdays: schedule.weekdays || [],
+                dayOfMonth: schedule.dayOfMonth || 1,
+                intervalDays: Math.max(1, schedule.intervalDays || 1),
+                startDate: schedule.startDate || this.toDateKey(new Date()),
+                previousInstance: schedule.previousInstance || 'keep',
+                // Keep the run marker so editing a schedule doesn't re-create today's group
+                lastRunDate: template.schedule ? template.schedule.lastRunDate : null
+            };
+        } else {
+            delete template.schedule;
+        }
+        this._touch(template);
+        this._saveData();
+        return template;
+    }
+
+    toDateKey(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    fromDateKey(key) {
+        const [y, m, d] = key.split('-').map(Number);
+        return new Date(y, m - 1, d);
+    }
+
+    _isScheduleDue(schedule, date) {
+        switch (schedule.type) {
+            case 'daily':
+                return true;
+            case 'weekly':
+                return schedule.weekdays.includes(date.getDay());
+            case 'monthly': {
+                // Short months run on their last day instead of skipping
+                const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+                return date.getDate() === Math.min(schedule.dayOfMonth, lastDay);
+            }
+            case 'interval': {
+                const days = Math.round((date - this.fromDateKey(schedule.startDate)) / 86400000);
+                return days % schedule.intervalDays === 0;
+            }
+            default:
+                return false;
+        }
+    }
+
+    // Most recent due date after the last run, up to and including `today`
+    _latestDueDate(schedule, today) {
+        const floorKey = schedule.lastRunDate && schedule.lastRunDate >= schedule.startDate
+            ? schedule.lastRunDate
+            : null;
+        const date = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+        for (let i = 0; i < 366; i++) {
+            const key = this.toDateKey(date);
+            if (key < schedule.startDate || (floorKey && key <= floorKey)) return null;
+            if (this._isScheduleDue(schedule, date)) return date;
+            date.setDate(date.getDate() - 1);
+        }
+        return null;
+    }
+
+    /**
+     * Starts a group for every scheduled template that became due since the
+     * last visit. Missed occurrences collapse into one group for the latest
+     * due date. Returns the created groups.
+     */
+    runDueSchedules(now = new Date()) {
+        if (this.loadIssue) return [];
+
+        const created = [];
+        let changed = false;
+        this.data.templates.forEach(template => {
+            const schedule = template.schedule;
+            if (!schedule) return;
+
+            const dueDate = this._latestDueDate(schedule, now);
+            if (!dueDate) return;
+            const dueKey = this.toDateKey(dueDate);
+            schedule.lastRunDate = dueKey;
+            this._touch(template);
+            changed = true;
+
+            // Another tab may already have started this occurrence
+            if (this.data.groups.some(g => g.templateId === template.id && g.scheduledFor === dueKey)) return;
+
+            this.data.groups
+                .filter(g => g.templateId === template.id && g.status === 'active')
+                .forEach(previous => {
+                    if (schedule.previousInstance === 'archive') {
+                        previous.status = 'archived';
+                        previous.archivedAt = now.getTime();
+                        this._touch(previous);
+                        this._emit('groupArchived', { group: this._groupEventData(previous) });
+                    } else if (schedule.previousInstance === 'flag') {
+                        previous.missedSchedule = true;
+                        this._touch(previous);
+                    }
+                });
+
+            const group = this.createGroupFromTemplate(template.id, this.getBuiltinVariables(dueDate));
+            if (group) {
+                group.scheduledFor = dueKey;
+                created.push(group);
+            }
+        });
+
+        if (changed) {
+            this.applyRetentionPolicy(now.getTime());
+            this._saveData();
+        }
+        return created;
+    }
+
+    createGroup(title, sectionsData = []) {
+        // One-off creation
+        const sections = sectionsData.map(sec => ({
+            id: this._generateId(),
+            title: sec.title,
+            items: sec.items.map(text => ({
+                id: this._generateId(),
+                text: text,
+                completed: false
+            }))
+        }));
+
+        const newGroup = {
+            id: this._generateId(),
+            templateId: null,
+            status: 'active',
+            title: title,
+            sections: sections
+        };
+        this._touch(newGroup, true);
+        this._addGroup(newGroup);
+        this._emit('groupCreated', { group: this._groupEventData(newGroup) });
+        this._saveData();
+        return newGroup;
+    }
+
+    toggleTodoCompletion(groupId, todoId) {
+        const group = this.data.groups.find(g => g.id === groupId);
+        if (!group) return null;
+
+        for (const section of group.sections) {
+            const found = this._findItemIn(section.items, todoId);
+            if (found) {
+                const now = Date.now();
+                const wasCompleted = this.checkAllCompleted(groupId);
+                const completed = !found.item.completed;
+                // Checking a parent checks everything below it, and unchecking unchecks it all
+                this.flattenItems([found.item]).forEach(todo => {
+                    if (todo.quantity) todo.count = completed ? todo.quantity : 0;
+                    if (todo.completed === completed) return;
+                    todo.completed = completed;
+                    if (completed) {
+                        todo.completedAt = now;
+                    } else {
+                        // Unchecking something already done is tracked for analytics
+                        todo.completedAt = null;
+                        todo.reopenCount = (todo.reopenCount || 0) + 1;
+                    }
+                });
+                this._syncParentCompletion(section.items, now);
+                this._touch(group);
+                this._emit('itemToggled', { group: this._groupEventData(group), item: this._itemEventData(section, found.item) });
+                this._emitIfCompleted(group, wasCompleted);
+                this._saveData();
+                return group;
+            }
+        }
+
+        return null;
+    }
+
+    // --- Nested Items ---
+
+    // All items of a list, depth-first with parents before their children
+    flattenItems(items) {
+        return items.flatMap(item => [item, ...this.flattenItems(item.children || [])]);
+    }
+
+    // Items without children; parents only mirror them
+    leafItems(items) {
+        return this.flattenItems(items).filter(item => !item.children || item.children.length === 0);
+    }
+
+    /**
+     * The leaf items that decide whether a list is done, used for progress
+     * and auto-archive. Optional items (and their subtasks) don't count,
+     * unless the list has nothing but optional items.
+     */
+    completionItems(items) {
+        const required = [];
+        const walk = list => list.forEach(item => {
+            if (item.optional) return;
+            if (item.children && item.children.length > 0) {
+                walk(item.children);
+            } else {
+                required.push(item);
+            }
+        });
+        walk(items);
+        return required.length > 0 ? required : this.leafItems(items);
+    }
+
+    // Finds an item at any depth: { item, list, index, parent } (parent null at the top level)
+    _findItemIn(items, itemId, parent = null) {
+        for (let index = 0; index < items.length; index++) {
+            const item = items[index];
+            if (item.id === itemId) return { item, list: items, index, parent };
+            const found = this._findItemIn(item.children || [], itemId, item);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    // A parent is done exactly when the subtasks that count for completion are
+    _syncParentCompletion(items, now = Date.now()) {
+        items.forEach(item => {
+            if (!item.children || item.children.length === 0) return;
+            this._syncParentCompletion(item.children, now);
+            const done = this.completionItems(item.children).every(child => child.completed);
+            if (item.completed !== done) {
+                item.completed = done;
+                item.completedAt = done ? now : null;
+            }
+        });
+    }
+
+    /**
+     * Ticks off `delta` of an item's quantity (e.g. one of three pairs of
+     * socks); the item is completed once the full quantity is reached.
+     */
+    stepItemCount(groupId, itemId, delta = 1) {
+        const group = this.data.groups.find(g => g.id === groupId);
+        if (!group) return null;
+        const section = group.sections.find(sec => this._findItemIn(sec.items, itemId));
+        const item = section && this._findItemIn(section.items, itemId).item;
+        if (!item || !item.quantity) return null;
+
+        const count = Math.min(Math.max((item.count || 0) + delta, 0), item.quantity);
+        if (count === item.count) return null;
+        const now = Date.now();
+        const wasCompleted = this.checkAllCompleted(groupId);
+        const completed = count === item.quantity;
+        item.count = count;
+        const toggled = completed !== item.completed;
+        if (toggled) {
+            item.completed = completed;
+            if (completed) {
+                item.completedAt = now;
+            } else {
+                item.completedAt = null;
+                item.reopenCount = (item.reopenCount || 0) + 1;
+            }
+        }
+        this._syncParentCompletion(section.items, now);
+        this._touch(group);
+        if (toggled) this._emit('itemToggled', { group: this._groupEventData(group), item: this._itemEventData(section, item) });
+        this._emitIfCompleted(group, wasCompleted);
+        this._saveData();
+        return group;
+    }
+
+    // --- Group Editing Methods ---
+
+    _moveInArray(arr, index, direction) {
+        const target = direction === 'up' ? index - 1 : index + 1;
+        if (index < 0 || target < 0 || target >= arr.length) return false;
+        [arr[index], arr[target]] = [arr[target], arr[index]];
+        return true;
+    }
+
+    _findSection(groupId, sectionId) {
+        const group = this.data.groups.find(g => g.id === groupId);
+        if (!group) return { group: null, section: null };
+        const section = group.sections.find(s => s.id === sectionId);
+        return { group, section: section || null };
+    }
+
+    addSection(groupId, title) {
+        const group = this.data.groups.find(g => g.id === groupId);
+        if (!group) return null;
+
+        const section = {
+            id: this._generateId(),
+            title: title,
+            items: []
+        };
+        group.sections.push(section);
+        this._touch(group);
+        this._saveData();
+        return section;
+    }
+
+    updateSection(groupId, sectionId, title) {
+        const { group, section } = this._findSection(groupId, sectionId);
+        if (!section) return null;
+        section.title = title;
+        this._touch(group);
+        this._saveData();
+        return group;
+    }
+
+    deleteSection(groupId, sectionId) {
+        const group = this.data.groups.find(g => g.id === groupId);
+        if (!group) return null;
+        const wasCompleted = this.checkAllCompleted(groupId);
+        group.sections = group.sections.filter(s => s.id !== sectionId);
+        this._touch(group);
+        this._emitIfCompleted(group, wasCompleted);
+        this._saveData();
+        return group;
+    }
+
+    moveSection(groupId, sectionId, direction) {
+        const group = this.data.groups.find(g => g.id === groupId);
+        if (!group) return null;
+        const sections = group.sections;
+        if (!this._moveInArray(sections, sections.findIndex(s => s.id === sectionId), direction)) return null;
+        this._touch(group);
+        this._saveData();
+        return group;
+    }
+
+    // parentItemId: add as a subtask of that item instead of at the section's top level
+    addItem(groupId, sectionId, text, parentItemId = null) {
+        const { group, section } = this._findSection(groupId, sectionId);
+        if (!section) return null;
+        const parent = parentItemId ? this._findItemIn(section.items, parentItemId) : null;
+        if (parentItemId && !parent) return null;
+
+        const item = {
+            id: this._generateId(),
+            text: text,
+            completed: false
+        };
+        if (parent) {
+            if (!parent.item.children) parent.item.children = [];
+            parent.item.children.push(item);
+            this._syncParentCompletion(section.items);
+        } else {
+            section.items.push(item);
+        }
+        this._touch(group);
+        this._saveData();
+        return item;
+    }
+
+    updateItem(groupId, sectionId, itemId, text) {
+        const { group, section } = this._findSection(groupId, sectionId);
+        if (!section) return null;
+        const found = this._findItemIn(section.items, itemId);
+        if (!found) return null;
+        found.item.text = text;
+        this._touch(group);
+        this._saveData();
+        return group;
+    }
+
+    deleteItem(groupId, sectionId, itemId) {
+        const { group, section } = this._findSection(groupId, sectionId);
+        const found = section && this._findItemIn(section.items, itemId);
+        if (!found) return null;
+        const wasCompleted = this.checkAllCompleted(groupId);
+        found.list.splice(found.index, 1);
+        this._syncParentCompletion(section.items);
+        this._touch(group);
+        this._emitIfCompleted(group, wasCompleted);
+        this._saveData();
+        return group;
+    }
+
+    moveItem(groupId, sectionId, itemId, direction) {
+        const { group, section } = this._findSection(groupId, sectionId);
+        const found = section && this._findItemIn(section.items, itemId);
+        if (!found || !this._moveInArray(found.list, found.index, direction)) return null;
+        this._touch(group);
+        this._saveData();
+        return group;
+    }
+
+    // --- Drag and Drop Reordering ---
+
+    moveSectionTo(groupId, sectionId, toIndex) {
+        const group = this.data.groups.find(g => g.id === groupId);
+        if (!group) return null;
+        const from = group.sections.findIndex(s => s.id === sectionId);
+        if (from === -1 || from === toIndex) return null;
+        const [section] = group.sections.splice(from, 1);
+        group.sections.splice(toIndex, 0, section);
+        this._touch(group);
+        this._saveData();
+        return group;
+    }
+
+    /**
+     * Moves an item to `toIndex` of a section in the same group (possibly
+     * another section), or of the subtasks of `toParentId` in that section.
+     */
+    moveItemTo(groupId, itemId, toSectionId, toIndex, toParentId = null) {
+        const group = this.data.groups.find(g => g.id === groupId);
+        const target = group && group.sections.find(s => s.id === toSectionId);
+        const source = group && group.sections.find(s => this._findItemIn(s.items, itemId));
+        if (!target || !source) return null;
+        const from = this._findItemIn(source.items, itemId);
+        const parent = toParentId ? this._findItemIn(target.items, toParentId) : null;
+        // An item can't become a subtask of itself or of its own subtasks
+        if (toParentId && (!parent || this._findItemIn([from.item], toParentId))) return null;
+        if (parent && !parent.item.children) parent.item.children = [];
+        const list = parent ? parent.item.children : target.items;
+        if (from.list === list && from.index === toIndex) return null;
+        from.list.splice(from.index, 1);
+        list.splice(toIndex, 0, from.item);
+        this._syncParentCompletion(source.items);
+        this._syncParentCompletion(target.items);
+        this._touch(group);
+        this._saveData();
+        return group;
+    }
+
+    /**
+     * Reorders groups so the given ids appear in that order, each taking
+     * one of the positions the listed groups occupied before. Groups not
+     * listed (e.g. archived ones) stay where they are.
+     */
+    reorderGroups(groupIds) {
+        const slots = [];
+        this.data.groups.forEach((g, i) => { if (groupIds.includes(g.id)) slots.push(i); });
+        const byId = new Map(this.data.groups.map(g => [g.id, g]));
+        const ordered = groupIds.filter(id => byId.has(id)).map(id => byId.get(id));
+        if (ordered.length !== slots.length) return null;
+        if (ordered.every((g, i) => this.data.groups[slots[i]] === g)) return null;
+
+        // Positions from older data or other tabs can tie; spread them out first
+        const orders = slots.map(slot => this.data.groups[slot].order);
+        if (orders.some((order, i) => i > 0 && order <= orders[i - 1])) {
+            this.data.groups.forEach((g, i) => this._setGroupOrder(g, i));
+            slots.forEach((slot, i) => { orders[i] = slot; });
+        }
+
+        const groups = this.data.groups.slice();
+        slots.forEach((slot, i) => {
+            groups[slot] = ordered[i];
+            this._setGroupOrder(ordered[i], orders[i]);
+        });
+        this.data.groups = groups;
+        this._saveData();
+        return ordered;
+    }
+
+    // Moved groups are touched, so their new positions win when tabs merge
+    _setGroupOrder(group, order) {
+        if (group.order === order) return;
+        group.order = order;
+        this._touch(group);
+    }
+
+    // Appends a new group after every existing position
+    _addGroup(group) {
+        group.order = this.data.groups.reduce((max, g) => Math.max(max, g.order), -1) + 1;
+        this.data.groups.push(group);
+    }
+
+    // Keeps this.data.groups in the order of their stored positions (stable for ties)
+    _sortGroups() {
+        this.data.groups.sort((a, b) => a.order - b.order);
+    }
+
+    // --- Due Dates & Reminders ---
+
+    // dueAt: epoch ms, or null to clear
+    setGroupDue(groupId, dueAt) {
+        const group = this.data.groups.find(g => g.id === groupId);
+        if (!group) return null;
+        this._setDue(group, dueAt);
+        this._touch(group);
+        this._saveData();
+        return group;
+    }
+
+    setItemDue(groupId, sectionId, itemId, dueAt) {
+        const { group, section } = this._findSection(groupId, sectionId);
+        const found = section && this._findItemIn(section.items, itemId);
+        if (!found) return null;
+        this._setDue(found.item, dueAt);
+        this._touch(group);
+        this._saveData();
+        return group;
+    }
+
+    _setDue(target, dueAt) {
+        if (dueAt) {
+            target.dueAt = dueAt;
+        } else {
+            delete target.dueAt;
+        }
+        delete target.remindedFor;
+    }
+
+    /**
+     * The most pressing deadline of an active group: its own due date or
+     * that of an unchecked item. level is 'overdue', 'soon' (within 24h),
+     * 'later' or null when nothing has a due date.
+     */
+    getGroupUrgency(group, now = Date.now()) {
+        const dues = group.sections
+            .flatMap(sec => this.flattenItems(sec.items))
+            .filter(item => !item.completed && item.dueAt)
+            .map(item => item.dueAt);
+        if (group.dueAt && !this.checkAllCompleted(group.id)) dues.push(group.dueAt);
+        if (dues.length === 0) return { dueAt: null, level: null };
+
+        const dueAt = Math.min(...dues);
+        return { dueAt, level: this.getUrgencyLevel(dueAt, now) };
+    }
+
+    getUrgencyLevel(dueAt, now = Date.now()) {
+        if (dueAt <= now) return 'overdue';
+        if (dueAt - now <= 24 * 60 * 60 * 1000) return 'soon';
+        return 'later';
+    }
+
+    /**
+     * Due dates of active groups and unchecked items that have not been
+     * reminded about yet, soonest first.
+     * Returns [{ groupId, itemId (null for the group itself), title, text, dueAt }].
+     */
+    getPendingReminders() {
+        const reminders = [];
+        this.getGroups('active').forEach(group => {
+            if (group.dueAt && group.remindedFor !== group.dueAt && !this.checkAllCompleted(group.id)) {
+                reminders.push({ groupId: group.id, itemId: null, title: group.title, text: group.title, dueAt: group.dueAt });
+            }
+            group.sections.forEach(sec => this.flattenItems(sec.items).forEach(item => {
+                if (item.dueAt && !item.completed && item.remindedFor !== item.dueAt) {
+                    reminders.push({ groupId: group.id, itemId: item.id, title: group.title, text: item.text, dueAt: item.dueAt });
+                }
+            }));
+        });
+        return reminders.sort((a, b) => a.dueAt - b.dueAt);
+    }
+
+    // Records that a reminder was shown, so it isn't repeated after a reload or in another tab
+    markReminded(groupId, itemId = null) {
+        const group = this.data.groups.find(g => g.id === groupId);
+        if (!group) return;
+        const target = itemId
+            ? group.sections.flatMap(sec => this.flattenItems(sec.items)).find(i => i.id === itemId)
+            : group;
+        if (!target || !target.dueAt) return;
+        target.remindedFor = target.dueAt;
+        this._touch(group);
+        this._saveData();
+    }
+
+    getGroupProgress(group) {
+        return this._progressOf(group.sections.flatMap(sec => sec.items));
+    }
+
+    getSectionProgress(section) {
+        return this._progressOf(section.items);
+    }
+
+    _progressOf(items) {
+        const counted = this.completionItems(items);
+        const done = counted.filter(i => i.completed).length;
+        return { done, total: counted.length, percent: counted.length > 0 ? Math.round((done / counted.length) * 100) : 0 };
+    }
+
+    // --- Auto-Archive Settings ---
+
+    // The template's own auto-archive settings, or the global ones when it has none
+    getAutoArchiveSettings(group) {
+        const template = group && this.data.templates.find(t => t.id === group.templateId);
+        return { ...(template && template.autoArchive ? template.autoArchive : this.data.settings.autoArchive) };
+    }
+
+    // Gives a template its own { enabled, delaySeconds, confirm }, or back to the global settings with null
+    setTemplateAutoArchive(templateId, autoArchive) {
+        const template = this.data.templates.find(t => t.id === templateId);
+        if (!template) return null;
+        if (autoArchive) {
+            template.autoArchive = this._sanitizeAutoArchive(autoArchive, this.data.settings.autoArchive);
+        } else {
+            delete template.autoArchive;
+        }
+        this._touch(template);
+        this._saveData();
+        return template;
+    }
+
+    checkAllCompleted(groupId) {
+        const group = this.data.groups.find(g => g.id === groupId);
+        if (!group) return false;
+
+        // If there are items, they must all be done, subtasks included and optional ones excepted
+        const items = this.completionItems(group.sections.flatMap(sec => sec.items));
+        return items.length > 0 && items.every(i => i.completed);
+    }
+
+    archiveGroup(groupId) {
+        const group = this.data.groups.find(g => g.id === groupId);
+        if (!group) return null;
+        group.status = 'archived';
+        group.archivedAt = Date.now();
+        this._touch(group);
+        this._emit('groupArchived', { group: this._groupEventData(group) });
+        this.applyRetentionPolicy();
+        this._saveData();
+        return group;
+    }
+
+    unarchiveGroup(groupId) {
+        const group = this.data.groups.find(g => g.id === groupId);
+        if (!group) return null;
+        group.status = 'active';
+        delete group.archivedAt;
+        this._touch(group);
+        this._emit('groupUnarchived', { group: this._groupEventData(group) });
+        this._saveData();
+        return group;
+    }
+
+    deleteGroup(groupId) {
+        this.deleteGroups([groupId]);
+    }
+
+    deleteGroups(groupIds) {
+        this.data.groups
+            .filter(g => groupIds.includes(g.id))
+            .forEach(group => this._emit('groupDeleted', { group: this._groupEventData(group) }));
+        this.data.groups = this.data.groups.filter(g => !groupIds.includes(g.id));
+        groupIds.forEach(id => this._recordDeletion(id));
+        this._saveData();
+    }
+
+    // Starts a fresh, unchecked copy of a (typically archived) group
+    rerunGroup(groupId) {
+        const group = this.data.groups.find(g => g.id === groupId);
+        if (!group) return null;
+
+        const newGroup = JSON.parse(JSON.stringify(group));
+        newGroup.id = this._generateId();
+        newGroup.status = 'active';
+        delete newGroup.archivedAt;
+        delete newGroup.missedSchedule;
+        delete newGroup.scheduledFor;
+        // Deadlines belonged to the earlier run
+        delete newGroup.dueAt;
+        delete newGroup.remindedFor;
+        newGroup.sections.forEach(sec => {
+            sec.id = this._generateId();
+            this.flattenItems(sec.items).forEach(item => {
+                item.id = this._generateId();
+                item.completed = false;
+                if (item.quantity) item.count = 0;
+                delete item.completedAt;
+                delete item.reopenCount;
+                delete item.dueAt;
+                delete item.remindedFor;
+            });
+        });
+        this._touch(newGroup, true);
+        this._addGroup(newGroup);
+        this._emit('groupCreated', { group: this._groupEventData(newGroup) });
+        this._saveData();
+        return newGroup;
+    }
+
+    // --- Settings ---
+
+    getSettings() {
+        return this.data.settings;
+    }
+
+    // Replaces whole settings sections, e.g. { retention: {...} }
+    updateSettings(patch) {
+        this.data.settings = this._sanitizeSettings({ ...this.data.settings, ...patch });
+        this.data.settings.updatedAt = Date.now();
+        this.applyRetentionPolicy();
+        this._saveData();
+        return this.data.settings;
+    }
+
+    // --- Webhooks ---
+
+    // Only http(s) URLs can receive deliveries
+    isWebhookUrl(url) {
+        if (typeof url !== 'string') return false;
+        try {
+            return ['http:', 'https:'].includes(new URL(url).protocol);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    getWebhooks() {
+        return this.data.settings.webhooks;
+    }
+
+    // Registers a URL for the given event types; returns null if the URL is not usable
+    addWebhook(url, events) {
+        if (!this.isWebhookUrl(url)) return null;
+        const hook = this._sanitizeWebhook({ url, events });
+        this.data.settings.webhooks.push(hook);
+        this._touchSettings();
+        return hook;
+    }
+
+    // patch: { url?, events?, enabled? }
+    updateWebhook(webhookId, patch) {
+        const hook = this.data.settings.webhooks.find(h => h.id === webhookId);
+        if (!hook || (patch.url !== undefined && !this.isWebhookUrl(patch.url))) return null;
+        Object.assign(hook, this._sanitizeWebhook({ ...hook, ...patch }));
+        this._touchSettings();
+        return hook;
+    }
+
+    deleteWebhook(webhookId) {
+        this.data.settings.webhooks = this.data.settings.webhooks.filter(h => h.id !== webhookId);
+        this._touchSettings();
+    }
+
+    _touchSettings() {
+        this.data.settings.updatedAt = Date.now();
+        this._saveData();
+    }
+
+    /**
+     * Deletes archived groups outside the retention settings: older than
+     * maxAgeDays, or beyond the newest maxPerTemplate runs of the same
+     * template (groups without a template are grouped by title). Each one
+     * emits groupDeleted, like a manual delete.
+     * Returns the number of groups removed.
+     */
+    applyRetentionPolicy(now = Date.now()) {
+        const { maxPerTemplate, maxAgeDays } = this.data.settings.retention;
+        if (this.loadIssue || (!maxPerTemplate && !maxAgeDays)) return 0;
+
+        const archivedAt = g => g.archivedAt || g.updatedAt;
+        const archived = this.data.groups
+            .filter(g => g.status === 'archived')
+            .sort((a, b) => archivedAt(b) - archivedAt(a));
+        const purge = new Set();
+
+        if (maxAgeDays) {
+            const cutoff = now - maxAgeDays * 24 * 60 * 60 * 1000;
+            archived.forEach(g => { if (archivedAt(g) < cutoff) purge.add(g.id); });
+        }
+        if (maxPerTemplate) {
+            const counts = new Map();
+            archived.forEach(g => {
+                const key = g.templateId || `title:${g.title}`;
+                const count = (counts.get(key) || 0) + 1;
+                counts.set(key, count);
+                if (count > maxPerTemplate) purge.add(g.id);
+            });
+        }
+
+        if (purge.size === 0) return 0;
+        this.deleteGroups([...purge]);
+        return purge.size;
+    }
+
+    // --- Analytics ---
+
+    /**
+     * Statistics for one template, built from its archived runs:
+     * - averageDuration: ms from a run's start to its last check (its
+     *   archiving when nothing was checked)
+     * - currentStreak / longestStreak: consecutive completed occurrences for
+     *   scheduled templates, consecutive days with a completed run otherwise
+     * - lastItems: items most often checked last in a run
+     * - reopenedItems: items most often unchecked again after being checked
+     */
+    getTemplateAnalytics(templateId, now = new Date()) {
+        const template = this.data.templates.find(t => t.id === templateId);
+        const runs = this.data.groups.filter(g => g.templateId === templateId && g.status === 'archived');
+        const items = group => group.sections.flatMap(sec => this.leafItems(sec.items));
+        const isComplete = group => {
+            const required = this.completionItems(group.sections.flatMap(sec => sec.items));
+            return required.length > 0 && required.every(i => i.completed);
+        };
+        // Items are counted per template item so renamed runs still add up
+        const itemKey = item => item.templateItemId || `text:${item.text}`;
+
+        const durations = runs.map(group => {
+            const times = items(group).map(i => i.completedAt).filter(t => typeof t === 'number');
+            const end = times.length > 0 ? Math.max(...times) : group.archivedAt;
+            return typeof end === 'number' ? Math.max(0, end - group.createdAt) : null;
+        }).filter(d => d !== null);
+
+        const lastCounts = new Map();
+        const reopenCounts = new Map();
+        const count = (map, item, n = 1) => {
+            const entry = map.get(itemKey(item)) || { text: item.text, count: 0 };
+            entry.count += n;
+            map.set(itemKey(item), entry);
+        };
+        runs.forEach(group => {
+            const timed = items(group).filter(i => typeof i.completedAt === 'number');
+            if (timed.length > 1) {
+                count(lastCounts, timed.reduce((a, b) => (b.completedAt > a.completedAt ? b : a)));
+            }
+            items(group).forEach(item => {
+                if (item.reopenCount) count(reopenCounts, item, item.reopenCount);
+            });
+        });
+        const top = map => [...map.values()].sort((a, b) => b.count - a.count).slice(0, 5);
+
+        const streaks = template && template.schedule
+            ? this._scheduleStreaks(template, now)
+            : this._dailyStreaks(runs.filter(isComplete), now);
+
+        return {
+            runs: runs.length,
+            completedRuns: runs.filter(isComplete).length,
+            averageDuration: durations.length > 0 ? durations.reduce((a, b) => a + b, 0) / durations.length : null,
+            ...streaks,
+            lastItems: top(lastCounts),
+            reopenedItems: top(reopenCounts)
+        };
+    }
+
+    // Walks back over the schedule's due dates (up to a year)
+    _scheduleStreaks(template, now) {
+        const schedule = template.schedule;
+        const runs = this.data.groups.filter(g => g.templateId === template.id && g.scheduledFor);
+        const date = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        let currentStreak = null;
+        let longestStreak = 0;
+        let streak = 0;
+        let latest = true;
+        for (let i = 0; i < 366; i++) {
+            const key = this.toDateKey(date);
+            if (key < schedule.startDate) break;
+            if (this._isScheduleDue(schedule, date)) {
+                const run = runs.find(g => g.scheduledFor === key);
+                const items = run ? this.completionItems(run.sections.flatMap(sec => sec.items)) : [];
+                const done = items.length > 0 && items.every(item => item.completed);
+                if (done) {
+                    streak++;
+                } else if (!(latest && (!run || run.status === 'active'))) {
+                    // The latest occurrence may still be in progress and doesn't break a streak yet
+                    if (currentStreak === null) currentStreak = streak;
+                    longestStreak = Math.max(longestStreak, streak);
+                    streak = 0;
+                }
+                latest = false;
+            }
+            date.setDate(date.getDate() - 1);
+        }
+        if (currentStreak === null) currentStreak = streak;
+        longestStreak = Math.max(longestStreak, streak);
+        return { currentStreak, longestStreak };
+    }
+
+    _dailyStreaks(completedRuns, now) {
+        const days = new Set(completedRuns.map(g => this.toDateKey(new Date(g.archivedAt || g.updatedAt))));
+        const sorted = [...days].sort();
+        let longestStreak = 0;
+        let streak = 0;
+        let previous = null;
+        sorted.forEach(key => {
+            const date = this.fromDateKey(key);
+            const expected = previous && new Date(previous.getFullYear(), previous.getMonth(), previous.getDate() + 1);
+            streak = expected && this.toDateKey(expected) === key ? streak + 1 : 1;
+            longestStreak = Math.max(longestStreak, streak);
+            previous = date;
+        });
+
+        // A streak is still current if it reaches today or yesterday
+        const date = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        if (!days.has(this.toDateKey(date))) date.setDate(date.getDate() - 1);
+        let currentStreak = 0;
+        while (days.has(this.toDateKey(date))) {
+            currentStreak++;
+            date.setDate(date.getDate() - 1);
+        }
+        return { currentStreak, longestStreak };
+    }
+
+    // --- History Support ---
+
+    /**
+     * Puts templates, groups and settings sections back to one side
+     * ('before' or 'after') of a change recorded by HistoryManager, leaving
+     * unrelated entities and settings alone.
+     */
+    restoreEntities(changes, side) {
+        ['templates', 'groups'].forEach(kind => {
+            const change = changes[kind];
+            const list = this.data[kind];
+            change.entities.forEach(entry => {
+                const json = entry[side];
+                const index = list.findIndex(e => e.id === entry.id);
+                if (json === null) {
+                    if (index !== -1) list.splice(index, 1);
+                    this._recordDeletion(entry.id);
+                    return;
+                }
+                // A restored state is a new change as far as other tabs are concerned
+                const entity = JSON.parse(json);
+                // History leaves revisions out; a restored template keeps its current ones
+                if (kind === 'templates') {
+                    entity.revisions = (index !== -1 && list[index].revisions) || entry.revisions || [];
+                    // ...plus one for the restored content, so the newest revision is always what the template holds
+                    const latest = entity.revisions[entity.revisions.length - 1];
+                    const content = rev => JSON.stringify([rev.title, rev.sections]);
+                    if (!latest || content(latest) !== content(entity)) this._addTemplateRevision(entity);
+                }
+                this._touch(entity);
+                if (index === -1) {
+                    list.push(entity);
+                } else {
+                    list[index] = entity;
+                }
+            });
+
+            // Restore the recorded order; entities created since keep their relative place at the end
+            const order = side === 'before' ? change.beforeOrder : change.afterOrder;
+            const rank = new Map(order.map((id, i) => [id, i]));
+            const rankOf = e => (rank.has(e.id) ? rank.get(e.id) : order.length);
+            list.sort((a, b) => rankOf(a) - rankOf(b));
+        });
+        if (changes.settings && changes.settings.length > 0) {
+            changes.settings.forEach(entry => {
+                this.data.settings[entry.key] = JSON.parse(entry[side]);
+            });
+            this.data.settings = this._sanitizeSettings(this.data.settings);
+            this.data.settings.updatedAt = Date.now();
+        }
+        this._saveData();
+    }
+
+    // --- Export / Import ---
+
+    /**
+     * Builds an export document. Without a selection the whole data document
+     * is exported; otherwise only the given template/group ids, plus the
+     * templates the selected ones include so the copy stays complete.
+     */
+    exportData(selection = null) {
+        const pick = (list, ids) => (ids ? list.filter(e => ids.includes(e.id)) : list);
+        const templateIds = selection && selection.templateIds
+            && [...new Set(selection.templateIds.flatMap(id => [id, ...this.getIncludedTemplateIds(id)]))];
+        const templates = pick(this.data.templates, templateIds);
+        const groups = pick(this.data.groups, selection && selection.groupIds);
+
+        return JSON.parse(JSON.stringify({
+            schemaVersion: this.SCHEMA_VERSION,
+            exportedAt: Date.now(),
+            templates,
+            groups
+        }));
+    }
+
+    /**
+     * Validates an import file and works out what merging it would do.
+     * With keepIds, entries whose id already exists are replaced only when the
+     * imported copy has a newer updatedAt; otherwise every entry gets a new id.
+     * Throws if the file is not a usable document.
+     * Returns { templates: [{ action, entity }], groups: [...], dropped }.
+     */
+    previewImport(json, { keepIds = true } = {}) {
+        const { data } = this._parseDocument(json);
+        const dropped = this._sanitizeData(data);
+
+        const planFor = (incoming, existingList) => incoming.map(entity => {
+            const existing = keepIds && existingList.find(e => e.id === entity.id);
+            if (!existing) return { action: 'add', entity };
+            return { action: entity.updatedAt > existing.updatedAt ? 'replace' : 'skip', entity };
+        });
+
+        if (!keepIds) {
+            const templateIdMap = {};
+            data.templates.forEach(tpl => {
+                templateIdMap[tpl.id] = this._generateId();
+                tpl.id = templateIdMap[tpl.id];
+            });
+            // Includes follow the templates they point at; ones outside the file keep pointing at local templates
+            data.templates.forEach(tpl => tpl.sections.forEach(sec => {
+                if (templateIdMap[sec.includeTemplateId]) sec.includeTemplateId = templateIdMap[sec.includeTemplateId];
+            }));
+            data.groups.forEach(group => {
+                group.id = this._generateId();
+                if (templateIdMap[group.templateId]) {
+                    group.templateId = templateIdMap[group.templateId];
+                } else if (!this.data.templates.some(t => t.id === group.templateId)) {
+                    group.templateId = null;
+                }
+            });
+        }
+
+        return {
+            templates: planFor(data.templates, this.data.templates),
+            groups: planFor(data.groups, this.data.groups),
+            dropped
+        };
+    }
+
+    applyImport(plan) {
+        const apply = (entries, list, add) => {
+            entries.forEach(({ action, entity }) => {
+                // Newer than any tombstone from an earlier delete, so other tabs don't drop it again
+                if (action !== 'skip') this._touch(entity);
+                if (action === 'add') {
+                    add(entity);
+                } else if (action === 'replace') {
+                    const index = list.findIndex(e => e.id === entity.id);
+                    if (index !== -1) list[index] = entity;
+                }
+            });
+        };
+        apply(plan.templates, this.data.templates, tpl => this.data.templates.push(tpl));
+        apply(plan.groups, this.data.groups, group => this._addGroup(group));
+        this._sortGroups();
+        this._saveData();
+    }
+}
+
+const todoStore = new LocalStorageManager();
+
+/**
+ * MarkdownChecklist
+ * Converts between plain-text / Markdown checklists and section data.
+ */
+class MarkdownChecklist {
+    /**
+     * Headings become sections, bullets (`-`, `*`, `1.`, `- [ ]`) and indented
+     * lines become items; a trailing `×3` or `(任意)` sets the quantity or
+     * optional flag (`\×3` and `\(任意)` stay text), trailing `#tag` words (not `\#tag`) on items and section titles are
+     * condition tags, and `> ...` lines under an item are its note. A
+     * heading starting with `@` (`## @戸締まり確認`) includes the template
+     * of that name. An unindented line followed by bullets or indented
+     * lines also starts a section (for bullets only when there are no
+     * headings); its items are the indented lines, so the next unindented
+     * line closes it (`- a` / `  - b` / `- c` puts `c` in a new section, not
+     * under `a`). Bullets indented under an item become its subtasks. A single
+     * top-level `#` heading used together with deeper headings is taken as
+     * the checklist title.
+     * Returns { title, sections: [{ title, tags?, include?, items: [{ text, note?, quantity?, optional?, tags?, children }] }] },
+     * where the title of an `include` section is the included template's.
+     */
+    static parse(text) {
+        const lines = text.split(/\r?\n/)
+            .map(raw => ({
+                indent: raw.match(/^\s*/)[0].replace(/\t/g, '    ').length,
+                body: raw.trim()
+            }))
+            .filter(line => line.body);
+        const baseIndent = Math.min(...lines.map(line => line.indent));
+        lines.forEach(line => { line.indent -= baseIndent; });
+
+        const headingLevels = lines
+            .map(line => line.body.match(/^(#{1,6})\s/))
+            .filter(Boolean)
+            .map(m => m[1].length);
+        const topLevel = Math.min(...headingLevels);
+        const hasTitleHeading = headingLevels.filter(lv => lv === topLevel).length === 1
+            && headingLevels.some(lv => lv > topLevel);
+
+        let title = '';
+        const sections = [];
+        let current = null;
+        // Items of the current section that deeper-indented bullets nest under
+        let openItems = [];
+        // Bullets only start sections in lists that use bullets for sections
+        let bulletSections = true;
+        // Set while the current section's title is a line whose items are indented under it
+        let titledByLine = false;
+        const startSection = (sectionTitle, fromBullet = false) => {
+            const { text, tags } = MarkdownChecklist.parseTags(sectionTitle);
+            current = { title: MarkdownChecklist.unescapeTags(text), items: [] };
+            if (tags.length > 0) current.tags = tags;
+            sections.push(current);
+            openItems = [];
+            bulletSections = fromBullet;
+            titledByLine = false;
+        };
+
+        lines.forEach((line, index) => {
+            const heading = line.body.match(/^(#{1,6})\s+(.*)$/);
+            if (heading) {
+                const include = heading[2].match(/^@\s*(.+)$/);
+                if (hasTitleHeading && heading[1].length === topLevel) {
+                    title = heading[2].trim();
+                } else if (include) {
+                    startSection(include[1].trim());
+                    current.include = true;
+                } else {
+                    startSection(heading[2].trim());
+                }
+                return;
+            }
+
+            const note = line.body.match(/^>\s?(.*)$/);
+            if (note && openItems.length > 0) {
+                const item = openItems[openItems.length - 1].item;
+                item.note = item.note ? `${item.note}\n${note[1]}` : note[1];
+                return;
+            }
+
+            const bullet = line.body.match(/^(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s*)?(.*)$/)
+                || line.body.match(/^(?:[-*+]\s*)?\[[ xX]\]\s*(.*)$/);
+            const lineText = bullet ? bullet[1].trim() : line.body;
+            const next = lines[index + 1];
+            const nextIsChild = next && !next.body.startsWith('#') && !next.body.startsWith('>')
+                && (next.indent > line.indent || (!bullet && /^(?:[-*+]|\d+[.)])\s/.test(next.body)));
+
+            // Under a heading or plain-text title, bullets with indented bullets are items with subtasks
+            if (line.indent === 0 && nextIsChild && (!bullet || !current || bulletSections)) {
+                startSection(lineText, !!bullet);
+                titledByLine = next.indent > line.indent;
+            } else if (lineText) {
+                if (!current) startSection('一般');
+                // An unindented line after a section's indented items is no longer part of it
+                if (line.indent === 0 && titledByLine) startSection('一般', bulletSections);
+                while (openItems.length > 0 && openItems[openItems.length - 1].indent >= line.indent) openItems.pop();
+                const item = { ...MarkdownChecklist.parseItemText(lineText), children: [] };
+                const parent = openItems[openItems.length - 1];
+                (parent ? parent.item.children : current.items).push(item);
+                openItems.push({ indent: line.indent, item });
+            }
+        });
+
+        return { title, sections };
+    }
+
+    // `靴下 ×3 (任意) #冬` → { text: '靴下', quantity: 3, optional: true, tags: ['冬'] }
+    static parseItemText(lineText) {
+        const { text, tags } = MarkdownChecklist.parseTags(lineText);
+        const match = text.match(/^(.*?)(?:\s+×(\d+))?(\s*(?<!\\)[(（]任意[)）])?$/);
+        const item = { text: MarkdownChecklist.unescapeTags(MarkdownChecklist.unescapeDetails(match[1] || text)) };
+        if (match[1] && Number(match[2]) > 1) item.quantity = Number(match[2]);
+        if (match[1] && match[3]) item.optional = true;
+        if (tags.length > 0) item.tags = tags;
+        return item;
+    }
+
+    // Trailing `#tag` words are condition tags
+    static parseTags(text) {
+        const match = text.match(/^(.*?)((?:\s+#[^\s#]+)+)$/);
+        if (!match || !match[1].trim()) return { text, tags: [] };
+        return { text: match[1], tags: match[2].trim().split(/\s+/).map(tag => tag.slice(1)) };
+    }
+
+    /**
+     * Puts a backslash in front of every word of a run of `#word`s that ends
+     * plain text (escaped ones included), so parseTags() keeps them as text.
+     * unescapeTags() undoes it.
+     */
+    static escapeTags(text) {
+        const run = text.match(/(^|\s)(\\*#[^\s#]+(?:\s+\\*#[^\s#]+)*)$/);
+        if (!run) return text;
+        return text.slice(0, run.index + run[1].length) + run[2].replace(/(^|\s)(\\*#)/g, '$1\\$2');
+    }
+
+    static unescapeTags(text) {
+        const run = text.match(/(^|\s)(\\+#[^\s#]+(?:\s+\\+#[^\s#]+)*)$/);
+        if (!run) return text;
+        return text.slice(0, run.index + run[1].length) + run[2].replace(/(^|\s)\\(\\*#)/g, '$1$2');
+    }
+
+    static formatTags(entity) {
+        return (entity.tags || []).map(tag => ` #${tag}`).join('');
+    }
+
+    /**
+     * Puts a backslash in front of a `×3` or `(任意)` that ends plain text
+     * (escaped ones included), so parseItemText() keeps it as text.
+     * unescapeDetails() undoes it.
+     */
+    static escapeDetails(text) {
+        if (/\s\\*×\d+$/.test(text)) return text.replace(/(\\*×\d+)$/, '\\$1');
+        return text.replace(/(\\*[(（]任意[)）])$/, '\\$1');
+    }
+
+    static unescapeDetails(text) {
+        if (/\s\\+×\d+$/.test(text)) return text.replace(/\\(\\*×\d+)$/, '$1');
+        return text.replace(/\\(\\*[(（]任意[)）])$/, '$1');
+    }
+
+    static formatItemText(item) {
+        return `${MarkdownChecklist.escapeTags(MarkdownChecklist.escapeDetails(item.text))}${item.quantity ? ` ×${item.quantity}` : ''}${item.optional ? ' (任意)' : ''}${MarkdownChecklist.formatTags(item)}`;
+    }
+
+    /**
+     * Renders sections as Markdown. Items with `completed` (group items)
+     * are written as `- [x]`, everything else as `- [ ]`; subtasks are
+     * indented under their parent and item details and include sections
+     * written as `parse` reads them.
+     */
+    static stringify(title, sections) {
+        const lines = [];
+        const pushItems = (items, depth) => items.forEach(item => {
+            const indent = '  '.repeat(depth);
+            lines.push(`${indent}- [${item.completed ? 'x' : ' '}] ${MarkdownChecklist.formatItemText(item)}`);
+            if (item.note) item.note.split('\n').forEach(line => lines.push(`${indent}  > ${line}`));
+            pushItems(item.children || [], depth + 1);
+        });
+        if (title) lines.push(`# ${title}`, '');
+        sections.forEach(sec => {
+            lines.push(`## ${sec.includeTemplateId ? '@' : ''}${MarkdownChecklist.escapeTags(sec.title)}${MarkdownChecklist.formatTags(sec)}`);
+            pushItems(sec.items, 0);
+            lines.push('');
+        });
+        return lines.join('\n');
+    }
+}
+
+/**
+ * DragSorter
+ * Pointer-based drag and drop reordering that works for mouse and touch.
+ * Elements matching `itemSelector` are picked up by their `handleSelector`
+ * and can be dropped into any element matching `containerSelector` inside
+ * `root` that `accepts` them. The DOM is rearranged live while dragging;
+ * `onDrop(item)` runs after release if the item ended up somewhere new.
+ * Listeners are delegated, so re-rendering the contents of `root` is fine.
+ */
+class DragSorter {
+    constructor(root, { itemSelector, handleSelector, containerSelector, layout = 'list', accepts = null, onDrop = null }) {
+        this.root = root;
+        this.options = { itemSelector, handleSelector, containerSelector, layout, accepts, onDrop };
+        root.addEventListener('pointerdown', (e) => this._start(e));
+    }
+
+    _start(e) {
+        const handle = e.target.closest(this.options.handleSelector);
+        if (!handle || !this.root.contains(handle) || e.button > 0) return;
+        const item = handle.closest(this.options.itemSelector);
+        if (!item) return;
+        e.preventDefault();
+
+        const origin = { parent: item.parentNode, next: item.nextSibling };
+        item.classList.add('dragging');
+        if (handle.setPointerCapture) handle.setPointerCapture(e.pointerId);
+
+        const move = (ev) => this._move(ev, item);
+        const finish = (ev) => {
+            handle.removeEventListener('pointermove', move);
+            handle.removeEventListener('pointerup', finish);
+            handle.removeEventListener('pointercancel', finish);
+            item.classList.remove('dragging');
+            if (ev.type === 'pointercancel') {
+                origin.parent.insertBefore(item, origin.next);
+                return;
+            }
+            const moved = item.parentNode !== origin.parent || item.nextSibling !== origin.next;
+            if (moved && this.options.onDrop) this.options.onDrop(item);
+        };
+        handle.addEventListener('pointermove', move);
+        handle.addEventListener('pointerup', finish);
+        handle.addEventListener('pointercancel', finish);
+    }
+
+    _move(e, item) {
+        const under = document.elementFromPoint(e.clientX, e.clientY);
+        const container = under && under.closest(this.options.containerSelector);
+        if (!container || !this.root.contains(container) || container === item || item.contains(container)) return;
+        if (this.options.accepts && !this.options.accepts(container, item)) return;
+
+        const siblings = Array.from(container.children).filter(el => el !== item && el.matches(this.options.itemSelector));
+        const before = siblings.find(el => {
+            const rect = el.getBoundingClientRect();
+            if (this.options.layout === 'grid') {
+                // Reading order: anything on a lower row, or further right on the same row
+                return e.clientY < rect.top || (e.clientY < rect.bottom && e.clientX < rect.left + rect.width / 2);
+            }
+            return e.clientY < rect.top + rect.height / 2;
+        });
+
+        if (before) {
+            if (item.nextElementSibling !== before) container.insertBefore(item, before);
+        } else if (siblings.length > 0) {
+            siblings[siblings.length - 1].after(item);
+        } else if (item.parentNode !== container) {
+            container.prepend(item);
+        }
+    }
+}
+
+/**
+ * HistoryManager
+ * Undo/redo in front of the store. Each command records the before/after JSON
+ * of only the templates and groups it touched, so undoing it doesn't roll back
+ * unrelated changes made since (e.g. groups started by a schedule).
+ */
+class HistoryManager {
+    constructor(store, limit = 50) {
+        this.store = store;
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        // JSON of every entity as last captured: id → { entity, updatedAt, json }
+        this._serialized = new Map();
+    }
+
+    /**
+     * Only entities the store touched (or replaced) since the last capture are
+     * serialized again; the rest reuse their JSON, so a checkbox toggle costs
+     * one group, not the whole document.
+     */
+    _capture() {
+        const changedIds = this.store.takeChangedIds();
+        const serialized = new Map();
+        const serialize = entity => {
+            let cached = this._serialized.get(entity.id);
+            if (!cached || cached.entity !== entity || cached.updatedAt !== entity.updatedAt || changedIds.has(entity.id)) {
+                // Revisions only ever grow, so they are kept by reference instead of copied into every command
+                const { revisions, ...content } = entity;
+                cached = { entity, updatedAt: entity.updatedAt, json: JSON.stringify(content) };
+            }
+            serialized.set(entity.id, cached);
+            return cached.json;
+        };
+        const capture = list => ({
+            order: list.map(e => e.id),
+            byId: new Map(list.map(e => [e.id, serialize(e)]))
+        });
+        const settings = this.store.data.settings;
+        const templates = capture(this.store.data.templates);
+        const groups = capture(this.store.data.groups);
+        this._serialized = serialized;
+        templates.revisions = new Map(this.store.data.templates.map(tpl => [tpl.id, tpl.revisions]));
+        return {
+            templates,
+            groups,
+            // Per settings section, so undo only touches what the command changed
+            settings: new Map(Object.keys(settings).filter(key => key !== 'updatedAt').map(key => [key, JSON.stringify(settings[key])]))
+        };
+    }
+
+    /**
+     * Runs a store mutation and records it under `label` if it changed anything.
+     * Returns whatever `mutate` returns.
+     */
+    run(label, mutate) {
+        const before = this._capture();
+        // Listeners hear about the whole command once
+        const result = this.store.batch(mutate);
+        const after = this._capture();
+
+        let changed = false;
+        const changes = {};
+        ['templates', 'groups'].forEach(kind => {
+            const ids = new Set([...before[kind].order, ...after[kind].order]);
+            const entities = [];
+            ids.forEach(id => {
+                const beforeJson = before[kind].byId.get(id) || null;
+                const afterJson = after[kind].byId.get(id) || null;
+                if (beforeJson !== afterJson) {
+                    const revisions = kind === 'templates' ? before[kind].revisions.get(id) || after[kind].revisions.get(id) : undefined;
+                    entities.push({ id, before: beforeJson, after: afterJson, revisions });
+                }
+            });
+            const orderChanged = before[kind].order.join() !== after[kind].order.join();
+            if (entities.length > 0 || orderChanged) changed = true;
+            changes[kind] = { entities, beforeOrder: before[kind].order, afterOrder: after[kind].order };
+        });
+        // Settings changed with the data, e.g. a retention change and the archives it purged, undo together
+        changes.settings = [...after.settings.keys()]
+            .filter(key => before.settings.get(key) !== after.settings.get(key))
+            .map(key => ({ key, before: before.settings.get(key), after: after.settings.get(key) }));
+        if (changes.settings.length > 0) changed = true;
+
+        if (changed) {
+            this.undoStack.push({ label, changes });
+            if (this.undoStack.length > this.limit) this.undoStack.shift();
+            this.redoStack = [];
+        }
+        return result;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Returns the undone command, or null if there was nothing to undo
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+        this.store.restoreEntities(command.changes, 'before');
+        this.redoStack.push(command);
+        return command;
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+        this.store.restoreEntities(command.changes, 'after');
+        this.undoStack.push(command);
+        return command;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
+
+/**
+ * WebhookDispatcher
+ * POSTs store events as JSON to the webhook URLs registered in the settings
+ * (typically a local automation server). Failed deliveries are retried after
+ * each of RETRY_DELAYS; every delivery and its attempts are kept in a log
+ * stored next to the data.
+ */
+class WebhookDispatcher {
+    constructor(store, fetchFn = null) {
+        this.store = store;
+        this.fetch = fetchFn || ((...args) => fetch(...args));
+        this.LOG_KEY = `${store.STORAGE_KEY}_webhook_log`;
+        this.MAX_LOG_ENTRIES = 100;
+        this.RETRY_DELAYS = [5 * 1000, 30 * 1000, 2 * 60 * 1000];
+        this.TIMEOUT = 10 * 1000;
+        // Newest first: { id, webhookId, url, type, payload, status, attempts, createdAt, lastAttemptAt, responseStatus, error, nextRetryAt }
+        this.log = [];
+        this._retryTimers = new Map();
+        // Entries this tab changed since its last write, and ones it is sending now
+        this._dirtyIds = new Set();
+        this._sendingIds = new Set();
+        this._cleared = false;
+        // Log writes run one at a time, each on top of what other tabs stored
+        this._writing = Promise.resolve();
+        // Called whenever the delivery log changes
+        this.onLogChange = null;
+        this.ready = this._readLog();
+        store.on('*', event => this.dispatch(event));
+        this._listenForRemoteLogChanges();
+    }
+
+    async _readLog() {
+        this.log = await this._loadStoredLog();
+        // Retries die with the page that scheduled them; they can be resent by hand
+        this.log.forEach(entry => {
+            if (entry.status === 'sending' || entry.status === 'retrying') {
+                entry.status = 'failed';
+                entry.nextRetryAt = null;
+                entry.error = entry.error || '送信中にページが閉じられました';
+            }
+        });
+    }
+
+    async _loadStoredLog() {
+        try {
+            let log = await this.store.storage.get(this.LOG_KEY);
+            if (typeof log === 'string') log = JSON.parse(log);
+            return Array.isArray(log) ? log : [];
+        } catch (e) {
+            console.error('Failed to read webhook log:', e);
+            return [];
+        }
+    }
+
+    _listenForRemoteLogChanges() {
+        const onRemoteSave = () => {
+            this._writing = this._writing.then(async () => {
+                this._mergeLog(await this._loadStoredLog());
+                if (this.onLogChange) this.onLogChange();
+            });
+        };
+        if (typeof BroadcastChannel !== 'undefined') {
+            this._channel = new BroadcastChannel(this.LOG_KEY);
+            this._channel.onmessage = (e) => {
+                if (e.data && e.data.type === 'saved') onRemoteSave();
+            };
+        } else if (this.store.storage instanceof LocalStorageAdapter) {
+            window.addEventListener('storage', (e) => {
+                if (e.key === this.LOG_KEY) onRemoteSave();
+            });
+        }
+    }
+
+    /**
+     * Merges the stored log into this tab's. Entries this tab changed or is
+     * still sending keep the local copy; the rest follow storage, so other
+     * tabs' deliveries show up and entries cleared elsewhere go away.
+     */
+    _mergeLog(stored) {
+        const keepLocal = entry => this._dirtyIds.has(entry.id)
+            || this._sendingIds.has(entry.id) || this._retryTimers.has(entry.id);
+        const byId = new Map(stored.map(entry => [entry.id, entry]));
+        this.log.forEach(entry => {
+            if (keepLocal(entry)) byId.set(entry.id, entry);
+        });
+        const log = [...byId.values()].sort((a, b) => b.createdAt - a.createdAt);
+        log.splice(this.MAX_LOG_ENTRIES);
+        this.log.filter(entry => !log.includes(entry)).forEach(entry => this._clearRetry(entry.id));
+        this.log = log;
+    }
+
+    // Marks `entry` as changed by this tab and writes the merged log
+    _saveLog(entry = null) {
+        if (entry) this._dirtyIds.add(entry.id);
+        this._writing = this._writing.then(async () => {
+            const stored = this._cleared ? [] : await this._loadStoredLog();
+            this._cleared = false;
+            this._mergeLog(stored);
+            this._dirtyIds.clear();
+            await this.store.storage.set(this.LOG_KEY, this.log);
+            if (this._channel) this._channel.postMessage({ type: 'saved' });
+        }).catch(e => {
+            console.error('Failed to write webhook log:', e);
+        });
+        if (this.onLogChange) this.onLogChange();
+    }
+
+    // Sends the event to every enabled webhook that selected its type
+    dispatch(event) {
+        this.store.getWebhooks()
+            .filter(hook => hook.enabled && hook.events.includes(event.type))
+            .forEach(hook => this._send(hook, event));
+    }
+
+    // Sends a 'test' event to one webhook, whatever its settings
+    sendTest(webhookId) {
+        const hook = this.store.getWebhooks().find(h => h.id === webhookId);
+        if (hook) this._send(hook, { type: 'test', occurredAt: Date.now() });
+    }
+
+    _send(hook, event) {
+        const { type, occurredAt, ...data } = event;
+        const id = crypto.randomUUID();
+        const entry = {
+            id,
+            webhookId: hook.id,
+            url: hook.url,
+            type,
+            payload: { id, type, occurredAt: new Date(occurredAt).toISOString(), data },
+            status: 'sending',
+            attempts: 0,
+            createdAt: Date.now(),
+            lastAttemptAt: null,
+            responseStatus: null,
+            error: null,
+            nextRetryAt: null
+        };
+        this.log.unshift(entry);
+        this.log.splice(this.MAX_LOG_ENTRIES).forEach(dropped => this._clearRetry(dropped.id));
+        return this._attempt(entry);
+    }
+
+    async _attempt(entry) {
+        this._retryTimers.delete(entry.id);
+        this._sendingIds.add(entry.id);
+        entry.status = 'sending';
+        entry.attempts++;
+        entry.lastAttemptAt = Date.now();
+        entry.nextRetryAt = null;
+        this._saveLog(entry);
+
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timeout = controller && setTimeout(() => controller.abort(), this.TIMEOUT);
+        try {
+            // text/plain keeps this a simple request, so servers need no CORS preflight handling
+            const response = await this.fetch(entry.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+                body: JSON.stringify(entry.payload),
+                signal: controller ? controller.signal : undefined
+            });
+            entry.responseStatus = response.status;
+            entry.error = response.ok ? null : `HTTP ${response.status}`;
+        } catch (e) {
+            entry.responseStatus = null;
+            entry.error = e.name === 'AbortError' ? 'タイムアウトしました' : (e.message || String(e));
+        } finally {
+            clearTimeout(timeout);
+        }
+        // Cleared or deleted while the request was in flight
+        if (!this.log.includes(entry)) {
+            this._sendingIds.delete(entry.id);
+            return;
+        }
+
+        const retryDelay = this.RETRY_DELAYS[entry.attempts - 1];
+        if (!entry.error) {
+            entry.status = 'success';
+        } else if (retryDelay !== undefined && this.store.getWebhooks().some(h => h.id === entry.webhookId)) {
+            entry.status = 'retrying';
+            entry.nextRetryAt = Date.now() + retryDelay;
+            this._retryTimers.set(entry.id, setTimeout(() => this._attempt(entry), retryDelay));
+        } else {
+            entry.status = 'failed';
+        }
+        this._saveLog(entry);
+        this._sendingIds.delete(entry.id);
+    }
+
+    // Sends a logged delivery again now, e.g. after it failed for good
+    retry(entryId) {
+        const entry = this.log.find(e => e.id === entryId);
+        if (!entry || entry.status === 'sending') return;
+        this._clearRetry(entry.id);
+        entry.attempts = 0;
+        this._attempt(entry);
+    }
+
+    // Clears the log for every tab; deliveries still being sent elsewhere stay
+    clearLog() {
+        this.log.forEach(entry => this._clearRetry(entry.id));
+        this.log = [];
+        this._cleared = true;
+        this._saveLog();
+    }
+
+    _clearRetry(entryId) {
+        clearTimeout(this._retryTimers.get(entryId));
+        this._retryTimers.delete(entryId);
+    }
+}
+
+class UIManager {
+    constructor(store, webhooks) {
+        this.store = store;
+        this.webhooks = webhooks;
+        this.history = new HistoryManager(store);
+        this.elements = {};
+        this.editingGroupIds = new Set();
+        this.expandedArchiveIds = new Set();
+        this.selectedArchiveIds = new Set();
+        this.collapsedItemIds = new Set();
+        // Finished groups waiting for their auto-archive delay, in the order they finished: groupId → { timer, archiveAt }
+        this.pendingArchives = new Map();
+        // Search/filter state is shared by every tab and survives switchTab
+        this.filters = this.getDefaultFilters();
+        this.init();
+    }
+
+    init() {
+        this.cacheDOM();
+        this.bindEvents();
+        this.store.onPersistError = (error) => this.showPersistError(error);
+        this.webhooks.onLogChange = () => this.renderWebhookLog();
+        // Store changes re-render the current tab; UI-only state changes call render() themselves
+        this.store.subscribe(({ remote }) => (remote ? this.handleRemoteChange() : this.render()));
+        const groupIds = this.store.getGroups().map(g => g.id);
+        this.store.runDueSchedules();
+        this.store.applyRetentionPolicy();
+        const remaining = new Set(this.store.getGroups().map(g => g.id));
+        const purged = groupIds.filter(id => !remaining.has(id)).length;
+        this.render();
+        this.updateDateDisplay();
+        this.updateNotificationButton();
+        if (this.store.loadIssue) {
+            this.openRecoveryModal();
+        } else if (purged > 0) {
+            // Nobody asked for this deletion just now, so say where it came from
+            this.showToast(`保持設定により古いアーカイブを${purged}件削除しました`, '保持設定', () => this.openRetentionModal());
+        }
+    }
+
+    cacheDOM() {
+        this.elements = {
+            dateDisplay: document.getElementById('date-display'),
+            navBtns: document.querySelectorAll('.nav-btn'),
+            tabContents: document.querySelectorAll('.tab-content'),
+            activeContainer: document.getElementById('active-groups-container'),
+            templatesContainer: document.getElementById('templates-container'),
+            archiveContainer: document.getElementById('archive-container'),
+            analyticsContainer: document.getElementById('analytics-container'),
+            emptyStateActive: document.getElementById('empty-state-active'),
+            btnQuickAdd: document.getElementById('btn-quick-add'),
+            btnCreateTemplate: document.getElementById('btn-create-template'),
+            btnSaveTemplate: document.getElementById('btn-save-template'),
+            btnAddTplItem: document.getElementById('btn-add-tpl-item'),
+            modal: document.getElementById('template-modal'),
+            modalCloseBtns: document.querySelectorAll('#template-modal .close-modal'),
+            tplTitleInput: document.getElementById('tpl-title-input'),
+            tplSectionsContainer: document.getElementById('tpl-sections-container'),
+            btnAddSection: document.getElementById('btn-add-section'),
+            btnAddInclude: document.getElementById('btn-add-include'),
+            editorModeBtns: document.querySelectorAll('[data-editor-mode]'),
+            tplListEditor: document.getElementById('tpl-list-editor'),
+            tplTextEditor: document.getElementById('tpl-text-editor'),
+            tplTextInput: document.getElementById('tpl-text-input'),
+            tplTextPreview: document.getElementById('tpl-text-preview'),
+            btnApplyText: document.getElementById('btn-apply-text'),
+            btnOpenExport: document.getElementById('btn-open-export'),
+            btnOpenImport: document.getElementById('btn-open-import'),
+            importFileInput: document.getElementById('import-file-input'),
+            exportModal: document.getElementById('export-modal'),
+            exportSelectAll: document.getElementById('export-select-all'),
+            exportList: document.getElementById('export-list'),
+            btnDoExport: document.getElementById('btn-do-export'),
+            importModal: document.getElementById('import-modal'),
+            importSummary: document.getElementById('import-summary'),
+            importKeepIds: document.getElementById('import-keep-ids'),
+            importPreview: document.getElementById('import-preview'),
+            btnDoImport: document.getElementById('btn-do-import'),
+            scheduleModal: document.getElementById('schedule-modal'),
+            scheduleType: document.getElementById('schedule-type'),
+            scheduleWeekdays: document.querySelectorAll('#schedule-weekdays input'),
+            scheduleDayOfMonth: document.getElementById('schedule-day-of-month'),
+            scheduleIntervalDays: document.getElementById('schedule-interval-days'),
+            scheduleStartDate: document.getElementById('schedule-start-date'),
+            schedulePrevious: document.getElementById('schedule-previous'),
+            btnSaveSchedule: document.getElementById('btn-save-schedule'),
+            variablesModal: document.getElementById('variables-modal'),
+            variablesForm: document.getElementById('variables-form'),
+            btnStartWithVariables: document.getElementById('btn-start-with-variables'),
+            recoveryModal: document.getElementById('recovery-modal'),
+            recoveryMessage: document.getElementById('recovery-message'),
+            recoverySnapshots: document.getElementById('recovery-snapshots'),
+            btnRecoveryContinue: document.getElementById('btn-recovery-continue'),
+            searchInput: document.getElementById('search-input'),
+            btnToggleFilters: document.getElementById('btn-toggle-filters'),
+            btnClearFilters: document.getElementById('btn-clear-filters'),
+            filterPanel: document.getElementById('filter-panel'),
+            filterTemplate: document.getElementById('filter-template'),
+            filterDateFrom: document.getElementById('filter-date-from'),
+            filterDateTo: document.getElementById('filter-date-to'),
+            filterCompletion: document.getElementById('filter-completion'),
+            filterSort: document.getElementById('filter-sort'),
+            dueModal: document.getElementById('due-modal'),
+            dueTargetLabel: document.getElementById('due-target-label'),
+            dueInput: document.getElementById('due-input'),
+            btnSaveDue: document.getElementById('btn-save-due'),
+            btnClearDue: document.getElementById('btn-clear-due'),
+            btnNotifications: document.getElementById('btn-notifications'),
+            reminderBanner: document.getElementById('reminder-banner'),
+            reminderMessage: document.getElementById('reminder-message'),
+            reminderList: document.getElementById('reminder-list'),
+            btnEnableNotifications: document.getElementById('btn-enable-notifications'),
+            btnCloseReminder: document.getElementById('btn-close-reminder'),
+            archiveSelectAll: document.getElementById('archive-select-all'),
+            archiveSelectedCount: document.getElementById('archive-selected-count'),
+            btnArchiveExport: document.getElementById('btn-archive-export'),
+            btnArchiveDelete: document.getElementById('btn-archive-delete'),
+            btnArchiveSettings: document.getElementById('btn-archive-settings'),
+            retentionModal: document.getElementById('retention-modal'),
+            retentionMaxPerTemplate: document.getElementById('retention-max-per-template'),
+            retentionMaxAgeDays: document.getElementById('retention-max-age-days'),
+            btnSaveRetention: document.getElementById('btn-save-retention'),
+            btnAutoArchiveSettings: document.getElementById('btn-auto-archive-settings'),
+            autoArchiveModal: document.getElementById('auto-archive-modal'),
+            autoArchiveModalTitle: document.getElementById('auto-archive-modal-title'),
+            autoArchiveUseGlobalRow: document.getElementById('auto-archive-use-global-row'),
+            autoArchiveUseGlobal: document.getElementById('auto-archive-use-global'),
+            autoArchiveEnabled: document.getElementById('auto-archive-enabled'),
+            autoArchiveDelay: document.getElementById('auto-archive-delay'),
+            autoArchiveConfirm: document.getElementById('auto-archive-confirm'),
+            btnSaveAutoArchive: document.getElementById('btn-save-auto-archive'),
+            webhookList: document.getElementById('webhook-list'),
+            webhookUrl: document.getElementById('webhook-url'),
+            webhookEvents: document.getElementById('webhook-events'),
+            btnAddWebhook: document.getElementById('btn-add-webhook'),
+            webhookLog: document.getElementById('webhook-log'),
+            btnClearWebhookLog: document.getElementById('btn-clear-webhook-log'),
+            saveTemplateModal: document.getElementById('save-template-modal'),
+            saveTplTitle: document.getElementById('save-tpl-title'),
+            saveTplTargetNew: document.getElementById('save-tpl-target-new'),
+            saveTplTargetSource: document.getElementById('save-tpl-target-source'),
+            saveTplSourceLabel: document.getElementById('save-tpl-source-label'),
+            saveTplDropUnchecked: document.getElementById('save-tpl-drop-unchecked'),
+            btnSaveGroupTemplate: document.getElementById('btn-save-group-template'),
+            revisionsModal: document.getElementById('revisions-modal'),
+            revisionsList: document.getElementById('revisions-list'),
+            templateSyncModal: document.getElementById('template-sync-modal'),
+            templateSyncList: document.getElementById('template-sync-list'),
+            btnDismissTemplateSync: document.getElementById('btn-dismiss-template-sync'),
+            btnApplyTemplateSync: document.getElementById('btn-apply-template-sync'),
+            toast: document.getElementById('toast'),
+            toastMessage: document.getElementById('toast-message'),
+            toastAction: document.getElementById('toast-action')
+        };
+    }
+
+    bindEvents() {
+        this.elements.navBtns.forEach(btn => {
+            btn.addEventListener('click', () => this.switchTab(btn.dataset.tab));
+        });
+        document.querySelectorAll('[data-switch-tab]').forEach(btn => {
+            btn.addEventListener('click', (e) => this.switchTab(e.target.dataset.switchTab));
+        });
+        this.elements.btnCreateTemplate.addEventListener('click', () => this.openModal());
+        this.elements.modalCloseBtns.forEach(btn => btn.addEventListener('click', () => this.closeModal()));
+        this.elements.modal.addEventListener('click', (e) => {
+            if (e.target === this.elements.modal) this.closeModal();
+        });
+
+        this.elements.btnAddSection.addEventListener('click', () => this.addTemplateSection());
+        this.elements.btnAddInclude.addEventListener('click', () => this.addTemplateIncludeSection());
+        this.elements.editorModeBtns.forEach(btn => {
+            btn.addEventListener('click', () => this.setEditorMode(btn.dataset.editorMode));
+        });
+        this.elements.tplTextInput.addEventListener('input', () => this.renderTemplateTextPreview());
+        this.bindDragSorting();
+        this.elements.btnApplyText.addEventListener('click', () => this.applyTemplateText());
+        this.bindModalClose(this.elements.exportModal);
+        this.bindModalClose(this.elements.importModal, () => { this.pendingImport = null; });
+        this.elements.btnOpenExport.addEventListener('click', () => this.openExportModal());
+        this.elements.exportSelectAll.addEventListener('change', () => {
+            this.elements.exportList.querySelectorAll('input[type="checkbox"]').forEach(cb => {
+                cb.checked = this.elements.exportSelectAll.checked;
+            });
+        });
+        this.elements.btnDoExport.addEventListener('click', () => this.exportSelected());
+        this.elements.btnOpenImport.addEventListener('click', () => this.elements.importFileInput.click());
+        this.elements.importFileInput.addEventListener('change', () => this.readImportFile());
+        this.elements.importKeepIds.addEventListener('change', () => this.refreshImportPreview());
+        this.elements.btnDoImport.addEventListener('click', () => this.applyImport());
+        document.addEventListener('keydown', (e) => this.handleHistoryShortcut(e));
+        this.elements.toastAction.addEventListener('click', () => {
+            const action = this._toastAction;
+            this.hideToast();
+            if (action) action();
+        });
+
+        // Pick up schedules that became due while the app sat in a background tab
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState !== 'visible') return;
+            this.updateDateDisplay();
+            // Also refreshes urgency colours and reminders that timers missed in the background
+            this.store.runDueSchedules();
+            this.render();
+        });
+        this.bindModalClose(this.elements.scheduleModal, () => { this.currentScheduleTemplateId = null; });
+        this.elements.scheduleType.addEventListener('change', () => this.updateScheduleFields());
+        this.elements.btnSaveSchedule.addEventListener('click', () => this.saveSchedule());
+        this.bindModalClose(this.elements.variablesModal, () => { this.pendingStartTemplateId = null; });
+        this.elements.btnStartWithVariables.addEventListener('click', () => this.submitVariables());
+        this.elements.variablesForm.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.isComposing) this.submitVariables();
+        });
+        this.bindModalClose(this.elements.templateSyncModal, () => { this.currentSyncGroupId = null; });
+        this.bindModalClose(this.elements.revisionsModal, () => { this.currentRevisionsTemplateId = null; });
+        this.bindModalClose(this.elements.saveTemplateModal, () => { this.currentSaveGroupId = null; });
+        this.elements.archiveSelectAll.addEventListener('change', () => this.selectAllArchives(this.elements.archiveSelectAll.checked));
+        this.elements.btnArchiveExport.addEventListener('click', () => this.exportSelectedArchives());
+        this.elements.btnArchiveDelete.addEventListener('click', () => this.deleteSelectedArchives());
+        this.elements.btnArchiveSettings.addEventListener('click', () => this.openRetentionModal());
+        this.bindModalClose(this.elements.retentionModal);
+        this.elements.btnSaveRetention.addEventListener('click', () => this.saveRetention());
+        this.elements.btnAutoArchiveSettings.addEventListener('click', () => this.openAutoArchiveModal());
+        this.bindModalClose(this.elements.autoArchiveModal, () => { this.currentAutoArchiveTemplateId = null; });
+        [this.elements.autoArchiveUseGlobal, this.elements.autoArchiveEnabled]
+            .forEach(input => input.addEventListener('change', () => this.updateAutoArchiveFields()));
+        this.elements.btnSaveAutoArchive.addEventListener('click', () => this.saveAutoArchive());
+        this.elements.webhookEvents.innerHTML = this.renderWebhookEventOptions();
+        this.elements.btnAddWebhook.addEventListener('click', () => this.addWebhook());
+        this.elements.webhookUrl.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.addWebhook();
+        });
+        this.elements.btnClearWebhookLog.addEventListener('click', () => this.webhooks.clearLog());
+        this.elements.searchInput.addEventListener('input', () => this.updateFilters());
+        [this.elements.filterTemplate, this.elements.filterDateFrom, this.elements.filterDateTo, this.elements.filterCompletion, this.elements.filterSort]
+            .forEach(input => input.addEventListener('change', () => this.updateFilters()));
+        this.elements.btnToggleFilters.addEventListener('click', () => {
+            this.elements.filterPanel.classList.toggle('hidden');
+            this.elements.btnToggleFilters.classList.toggle('active', !this.elements.filterPanel.classList.contains('hidden'));
+        });
+        this.elements.btnClearFilters.addEventListener('click', () => this.clearFilters());
+        this.bindModalClose(this.elements.dueModal, () => { this.pendingDueTarget = null; });
+        this.elements.btnSaveDue.addEventListener('click', () => this.saveDue());
+        this.elements.btnClearDue.addEventListener('click', () => this.saveDue(true));
+        this.elements.btnNotifications.addEventListener('click', () => this.requestNotificationPermission());
+        this.elements.btnEnableNotifications.addEventListener('click', () => this.requestNotificationPermission());
+        this.elements.btnCloseReminder.addEventListener('click', () => this.elements.reminderBanner.classList.add('hidden'));
+        [this.elements.saveTplTargetNew, this.elements.saveTplTargetSource].forEach(radio => {
+            radio.addEventListener('change', () => this.updateSaveAsTemplateFields());
+        });
+        this.elements.btnSaveGroupTemplate.addEventListener('click', () => this.saveGroupAsTemplate());
+        this.elements.btnDismissTemplateSync.addEventListener('click', () => this.applyTemplateSync(false));
+        this.elements.btnApplyTemplateSync.addEventListener('click', () => this.applyTemplateSync(true));
+        this.elements.btnRecoveryContinue.addEventListener('click', () => {
+            this.store.resolveLoadIssue();
+            this.closeRecoveryModal();
+        });
 
         this.elements.btnSaveTemplate.addEventListener('click', () => this.saveTemplate());
         this.elements.btnQuickAdd.addEventListener('click', () => {
             const title = prompt("新しいタスクグループの名前:");
             if (title) {
-                // Quick add creates a group with a default General section
-                this.store.createGroup(title, [{ title: '一般', items: [] }]);
+                // Quick add creates a group with a default General section,
+                // opened in edit mode so items can be added right away
+                const group = this.history.run('クイック追加', () => this.store.createGroup(title, [{ title: '一般', items: [] }]));
+                this.editingGroupIds.add(group.id);
+                this.switchTab('active');
+                this.focusSectionAddInput(group.id, group.sections[0].id);
+            }
+        });
+    }
+
+    updateDateDisplay() {
+        const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
+        this.elements.dateDisplay.innerText = new Date().toLocaleDateString('ja-JP', options);
+    }
+
+    switchTab(tabId) {
+        this.elements.navBtns.forEach(btn => {
+            if (btn.dataset.tab === tabId) btn.classList.add('active');
+            else btn.classList.remove('active');
+        });
+        this.elements.tabContents.forEach(content => {
+            if (content.id === `tab-${tabId}`) content.classList.add('active');
+            else content.classList.remove('active');
+        });
+        this.render();
+    }
+
+    // Changes from another tab: re-render, but not under an inline edit in progress
+    handleRemoteChange() {
+        this.cancelStaleAutoArchives();
+        const focused = document.activeElement;
+        if (focused && focused.closest('.content-area') && (focused.isContentEditable || focused.tagName === 'INPUT')) {
+            if (this._renderAfterBlur) return;
+            this._renderAfterBlur = true;
+            focused.addEventListener('blur', () => {
+                this._renderAfterBlur = false;
+                this.render();
+            }, { once: true });
+            return;
+        }
+        this.render();
+    }
+
+    render() {
+        this.renderTemplateFilterOptions();
+        const activeTab = document.querySelector('.nav-btn.active');
+        const currentTab = activeTab ? activeTab.dataset.tab : 'active';
+        switch (currentTab) {
+            case 'active':
                 this.renderActiveGroups();
+                break;
+            case 'templates':
+                this.renderTemplates();
+                break;
+            case 'archive':
+                this.renderArchives();
+                break;
+            case 'analytics':
+                this.renderAnalytics();
+                break;
+            case 'settings':
+                this.renderSettings();
+                break;
+        }
+        this.scheduleReminders();
+    }
+
+    // --- Active Groups ---
+
+    /**
+     * Brings the active tab in line with the store. Cards, sections and items
+     * are keyed by id and only rebuilt when something they show has changed,
+     * so untouched ones keep their DOM (and focus and scroll position).
+     */
+    renderActiveGroups() {
+        // Most urgent first; groups without deadlines keep their order at the end
+        const now = Date.now();
+        const allGroups = this.store.getGroups('active');
+        const groups = this.filterEntities(allGroups, 'active')
+            .map(group => ({ group, urgency: this.store.getGroupUrgency(group, now) }));
+        if (this.filters.sort === 'default') {
+            groups.sort((a, b) => (a.urgency.dueAt || Infinity) - (b.urgency.dueAt || Infinity));
+        }
+        const container = this.elements.activeContainer;
+        this.elements.emptyStateActive.style.display = allGroups.length === 0 ? 'block' : 'none';
+
+        // Deadlines win over the stored order, so only cards without one can be dragged
+        const canReorder = urgency => this.canReorderGroups() && !urgency.dueAt;
+        const cards = this.patchKeyed(container, groups.map(({ group, urgency }) => ({
+            key: group.id,
+            signature: [
+                group.title, group.createdAt, group.missedSchedule, group.tags, group.dueAt, urgency.level,
+                this.store.isGroupTemplateUpdated(group), this.editingGroupIds.has(group.id), canReorder(urgency), this.filters.query,
+                this.pendingArchives.has(group.id)
+            ],
+            render: previous => this.createGroupCard(group, urgency, canReorder(urgency), previous)
+        })));
+        if (allGroups.length > 0 && groups.length === 0) this.renderNoMatches(container);
+
+        groups.forEach(({ group }, i) => {
+            this.patchProgressBar(cards[i].querySelector('.card-header'), this.store.getGroupProgress(group), 'group-progress');
+            this.patchSections(group, cards[i].querySelector('.group-sections'), this.editingGroupIds.has(group.id));
+        });
+    }
+
+    /**
+     * Makes the children of `container` match `entries` ({ key, signature, render(previous) })
+     * in order. The element rendered for a key is kept while its signature (any JSON-able
+     * description of what it shows) stays the same; otherwise `render` builds a new one,
+     * getting the old element so it can take over the old one's keyed children.
+     * Other children are removed. Returns the elements in entry order.
+     */
+    patchKeyed(container, entries) {
+        const existing = new Map();
+        Array.from(container.children).forEach(el => {
+            if (el._renderKey !== undefined) existing.set(el._renderKey, el);
+        });
+        const elements = entries.map(entry => {
+            const signature = JSON.stringify(entry.signature);
+            const previous = existing.get(entry.key);
+            if (previous && previous._renderSignature === signature) return previous;
+            const el = entry.render(previous || null);
+            el._renderKey = entry.key;
+            el._renderSignature = signature;
+            return el;
+        });
+        const keep = new Set(elements);
+        Array.from(container.children).forEach(el => {
+            if (!keep.has(el)) el.remove();
+        });
+        elements.forEach((el, i) => {
+            if (container.children[i] !== el) container.insertBefore(el, container.children[i] || null);
+        });
+        return elements;
+    }
+
+    // Keeps the progress bar right after `anchor` up to date, or removes it when not `shown`
+    patchProgressBar(anchor, progress, className, shown = true) {
+        const next = anchor.nextElementSibling;
+        const current = next && next.classList.contains(className) ? next : null;
+        if (!shown) {
+            if (current) current.remove();
+            return;
+        }
+        const signature = JSON.stringify(progress);
+        if (current && current._renderSignature === signature) return;
+        const wrapper = document.createElement('div');
+        wrapper.innerHTML = this.renderProgressBar(progress, className);
+        const bar = wrapper.firstElementChild;
+        bar._renderSignature = signature;
+        if (current) {
+            current.replaceWith(bar);
+        } else {
+            anchor.after(bar);
+        }
+    }
+
+    // A card without its sections; those of `previous` are moved over to be patched
+    createGroupCard(group, urgency, canReorder, previous = null) {
+        const card = document.createElement('div');
+        const isEditing = this.editingGroupIds.has(group.id);
+        const pendingArchive = this.pendingArchives.get(group.id);
+        card.className = `card ${isEditing ? 'editing' : ''} ${urgency.level ? `urgency-${urgency.level}` : ''} ${pendingArchive ? 'archive-pending' : ''}`;
+        card.dataset.groupId = group.id;
+        const dateStr = new Date(group.createdAt).toLocaleDateString();
+
+        let contentHtml = `
+            <div class="card-header">
+                <div>
+                    <div class="card-title">${this.highlightText(group.title)}</div>
+                    <div class="card-meta">
+                        ${dateStr}
+                        ${group.missedSchedule ? '<span class="card-badge warning">前回分・未完了</span>' : ''}
+                        ${(group.tags || []).map(tag => `<span class="card-badge tag-badge">#${this.escapeHtml(tag)}</span>`).join('')}
+                        ${group.dueAt ? `<span class="card-badge due-badge"><i class="fas fa-clock"></i> 期限 ${this.formatDue(group.dueAt)}</span>` : ''}
+                        ${this.store.isGroupTemplateUpdated(group) ? '<button class="card-badge card-badge-button btn-template-sync" title="変更を確認"><i class="fas fa-rotate"></i> テンプレート更新あり</button>' : ''}
+                    </div>
+                </div>
+                <div class="card-actions">
+                    ${canReorder ? '<i class="fas fa-grip-vertical drag-handle card-drag-handle" title="ドラッグして並び替え"></i>' : ''}
+                    <button class="icon-btn btn-save-as-template" title="テンプレートとして保存">
+                        <i class="fas fa-file-circle-plus"></i>
+                    </button>
+                    <button class="icon-btn btn-markdown-group" title="Markdownで書き出し">
+                        <i class="fab fa-markdown"></i>
+                    </button>
+                    <button class="icon-btn btn-due-group ${group.dueAt ? 'active' : ''}" title="期限を設定">
+                        <i class="fas fa-calendar-day"></i>
+                    </button>
+                    <button class="icon-btn btn-edit-group ${isEditing ? 'active' : ''}" title="${isEditing ? '編集を終了' : '編集'}">
+                        <i class="fas ${isEditing ? 'fa-check' : 'fa-pen'}"></i>
+                    </button>
+                    <button class="icon-btn btn-archive-group" title="アーカイブ">
+                        <i class="fas fa-box-archive"></i>
+                    </button>
+                    <button class="icon-btn danger btn-delete-group">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+            <div class="group-sections">
+                <!-- Sections injected here -->
+            </div>
+        `;
+        if (isEditing) {
+            contentHtml += `
+                <button class="btn-add-group-section text-btn">
+                    <i class="fas fa-folder-plus"></i> グループ(大タスク)を追加
+                </button>
+            `;
+        }
+        if (pendingArchive) {
+            // Short delays read as "now"; long ones say when
+            const when = pendingArchive.archiveAt - Date.now() < 60 * 1000
+                ? 'まもなくアーカイブします'
+                : `${new Date(pendingArchive.archiveAt).toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit' })} にアーカイブします`;
+            contentHtml += `
+                <div class="archive-pending-bar">
+                    <i class="fas fa-check-circle shine"></i>
+                    <span>すべて完了！ ${when}</span>
+                    <button class="text-btn btn-cancel-auto-archive">キャンセル</button>
+                </div>
+            `;
+        }
+        card.innerHTML = contentHtml;
+        card.querySelector('.btn-save-as-template').addEventListener('click', () => this.openSaveAsTemplateModal(group.id));
+        card.querySelector('.btn-markdown-group').addEventListener('click', () => {
+            // The card outlives edits to sections/items, so export what the store has now
+            const current = this.store.getGroups().find(g => g.id === group.id);
+            if (current) this.exportMarkdown(current.title, current.sections);
+        });
+        card.querySelector('.btn-due-group').addEventListener('click', () => this.openDueModal({ groupId: group.id }));
+        card.querySelector('.btn-edit-group').addEventListener('click', () => this.toggleGroupEditing(group.id));
+        card.querySelector('.btn-archive-group').addEventListener('click', () => this.archiveGroup(group.id));
+        card.querySelector('.btn-delete-group').addEventListener('click', () => this.deleteGroup(group.id));
+        const btnTemplateSync = card.querySelector('.btn-template-sync');
+        if (btnTemplateSync) btnTemplateSync.addEventListener('click', () => this.openTemplateSyncModal(group.id));
+        if (isEditing) {
+            card.querySelector('.btn-add-group-section').addEventListener('click', () => this.addGroupSection(group.id));
+        }
+        if (pendingArchive) {
+            card.querySelector('.btn-cancel-auto-archive').addEventListener('click', () => this.cancelAutoArchive(group.id));
+        }
+        if (previous) card.querySelector('.group-sections').append(...previous.querySelector('.group-sections').children);
+        return card;
+    }
+
+    patchSections(group, container, isEditing) {
+        const sectionEls = this.patchKeyed(container, group.sections.map(section => ({
+            key: section.id,
+            signature: [section.title, isEditing, this.filters.query],
+            render: previous => this.createSectionElement(group.id, section, isEditing, false, previous)
+        })));
+        group.sections.forEach((section, i) => {
+            const progress = this.store.getSectionProgress(section);
+            this.patchProgressBar(sectionEls[i].querySelector('.group-section-title'), progress, 'section-progress', progress.total > 0);
+            this.patchItems(group.id, section, section.items, sectionEls[i].querySelector('.mini-todo-list'), isEditing, false);
+        });
+    }
+
+    // Archive details: a fresh, read-only section
+    renderSection(groupId, section, container, isEditing = false, readOnly = false) {
+        const sectionEl = this.createSectionElement(groupId, section, isEditing, readOnly);
+        if (!readOnly) {
+            const progress = this.store.getSectionProgress(section);
+            this.patchProgressBar(sectionEl.querySelector('.group-section-title'), progress, 'section-progress', progress.total > 0);
+        }
+        this.patchItems(groupId, section, section.items, sectionEl.querySelector('ul'), isEditing, readOnly);
+        container.appendChild(sectionEl);
+    }
+
+    // A section without its items; those of `previous` are moved over to be patched
+    createSectionElement(groupId, section, isEditing = false, readOnly = false, previous = null) {
+        const sectionEl = document.createElement('div');
+        sectionEl.className = 'group-section';
+        if (isEditing) {
+            sectionEl.innerHTML = `
+                <div class="group-section-title">
+                    <i class="fas fa-grip-vertical drag-handle section-drag-handle" title="ドラッグして移動"></i>
+                    <div class="section-controls">
+                        <button class="icon-btn move-up-btn" title="上に移動"><i class="fas fa-chevron-up"></i></button>
+                        <button class="icon-btn move-down-btn" title="下に移動"><i class="fas fa-chevron-down"></i></button>
+                    </div>
+                    <span contenteditable="true" class="editable-span section-title-edit">${this.escapeHtml(section.title)}</span>
+                    <button class="icon-btn danger remove-section-btn" title="削除"><i class="fas fa-trash"></i></button>
+                </div>
+                <ul class="mini-todo-list"></ul>
+                <input type="text" class="mini-add-input" placeholder="小タスクを追加 (Enter)" autocomplete="off">
+            `;
+            const titleEl = sectionEl.querySelector('.section-title-edit');
+            this.bindInlineEdit(titleEl, section.title, value => {
+                this.history.run('大タスク名を変更', () => this.store.updateSection(groupId, section.id, value));
+            });
+            sectionEl.querySelector('.move-up-btn').addEventListener('click', () => this.moveGroupSection(groupId, section.id, 'up'));
+            sectionEl.querySelector('.move-down-btn').addEventListener('click', () => this.moveGroupSection(groupId, section.id, 'down'));
+            sectionEl.querySelector('.remove-section-btn').addEventListener('click', () => this.deleteGroupSection(groupId, section.id));
+
+            const addInput = sectionEl.querySelector('.mini-add-input');
+            addInput.addEventListener('keydown', (e) => {
+                if (e.key !== 'Enter' || e.isComposing) return;
+                const text = addInput.value.trim();
+                if (!text) return;
+                this.history.run('小タスクを追加', () => this.store.addItem(groupId, section.id, text));
+                this.focusSectionAddInput(groupId, section.id);
+            });
+        } else {
+            sectionEl.innerHTML = `
+                <div class="group-section-title">${this.highlightText(section.title)}</div>
+                <ul class="mini-todo-list"></ul>
+            `;
+        }
+        sectionEl.dataset.groupId = groupId;
+        sectionEl.dataset.sectionId = section.id;
+        if (previous) sectionEl.querySelector('ul').append(...previous.querySelector('ul').children);
+        return sectionEl;
+    }
+
+    renderProgressBar({ done, total, percent }, className) {
+        return `
+            <div class="progress ${className}" title="${done}/${total} 完了">
+                <div class="progress-bar"><div class="progress-fill ${percent === 100 ? 'complete' : ''}" style="width: ${percent}%"></div></div>
+                <span class="progress-label">${done}/${total}</span>
+            </div>
+        `;
+    }
+
+    // Patches `listEl` to show `items`, recursing into subtasks
+    patchItems(groupId, section, items, listEl, isEditing, readOnly) {
+        const now = Date.now();
+        const itemEls = this.patchKeyed(listEl, items.map(item => {
+            const counted = this.store.completionItems(item.children || []);
+            return {
+                key: item.id,
+                signature: [
+                    section.id, item.text, item.completed, item.optional, item.note, item.quantity, item.count,
+                    item.dueAt, item.dueAt ? this.store.getUrgencyLevel(item.dueAt, now) : null,
+                    (item.children || []).length, counted.filter(i => i.completed).length, counted.length,
+                    this.collapsedItemIds.has(item.id), isEditing, readOnly, this.filters.query
+                ],
+                render: previous => this.createItemElement(groupId, section, item, isEditing, readOnly, previous)
+            };
+        }));
+        items.forEach((item, i) => {
+            const li = itemEls[i];
+            let childList = li.querySelector(':scope > .subtask-list');
+            if (item.children && item.children.length > 0 && !this.collapsedItemIds.has(item.id)) {
+                if (!childList) {
+                    childList = document.createElement('ul');
+                    childList.className = 'mini-todo-list subtask-list';
+                    li.appendChild(childList);
+                }
+                this.patchItems(groupId, section, item.children, childList, isEditing, readOnly);
+            } else if (childList) {
+                childList.remove();
+            }
+        });
+    }
+
+    // An item without its subtasks; the subtask list of `previous` is moved over to be patched
+    createItemElement(groupId, section, item, isEditing, readOnly, previous = null) {
+        const li = document.createElement('li');
+        const children = item.children || [];
+        const isCollapsed = this.collapsedItemIds.has(item.id);
+        li.className = [
+            'mini-todo-item',
+            item.completed ? 'completed' : '',
+            item.optional ? 'optional' : '',
+            children.length > 0 ? 'has-subtasks' : '',
+            item.note ? 'has-note' : ''
+        ].join(' ');
+        li.dataset.itemId = item.id;
+        const subtaskToggle = children.length > 0
+            ? `<i class="fas ${isCollapsed ? 'fa-caret-right' : 'fa-caret-down'} subtask-toggle" title="${isCollapsed ? '展開' : '折りたたむ'}"></i>`
+            : '';
+        const counted = this.store.completionItems(children);
+        const subtaskCount = children.length > 0
+            ? `<span class="subtask-count">${counted.filter(i => i.completed).length}/${counted.length}</span>`
+            : '';
+        const detailsHtml = `
+            ${item.quantity ? `<span class="item-quantity">${item.count || 0}/${item.quantity}</span>` : ''}
+            ${item.quantity && item.count > 0 && !readOnly ? '<i class="fas fa-minus item-count-down" title="1つ戻す"></i>' : ''}
+            ${item.optional ? '<span class="item-optional-badge">任意</span>' : ''}
+        `;
+        const noteHtml = item.note ? `<div class="item-note">${this.highlightText(item.note)}</div>` : '';
+        if (isEditing) {
+            li.innerHTML = `
+                <i class="fas fa-grip-vertical drag-handle item-drag-handle" title="ドラッグして移動"></i>
+                ${subtaskToggle}
+                <div class="mini-check">
+                    <i class="fas fa-check"></i>
+                </div>
+                <span contenteditable="true" class="mini-text editable-span">${this.escapeHtml(item.text)}</span>
+                ${detailsHtml}
+                ${subtaskCount}
+                ${this.renderItemDue(item)}
+                <i class="fas fa-plus add-subtask-btn" title="サブタスクを追加"></i>
+                <i class="fas fa-calendar-day set-item-due-btn" title="期限を設定"></i>
+                <div class="item-controls">
+                    <i class="fas fa-chevron-up move-item-up"></i>
+                    <i class="fas fa-chevron-down move-item-down"></i>
+                </div>
+                <i class="fas fa-times remove-item-btn"></i>
+                ${noteHtml}
+            `;
+            this.bindInlineEdit(li.querySelector('.mini-text'), item.text, value => {
+                this.history.run('小タスクを変更', () => this.store.updateItem(groupId, section.id, item.id, value));
+            });
+            li.querySelector('.add-subtask-btn').addEventListener('click', () => this.addSubtask(groupId, section.id, item.id));
+            li.querySelector('.set-item-due-btn').addEventListener('click', () => {
+                this.openDueModal({ groupId, sectionId: section.id, itemId: item.id });
+            });
+            li.querySelector('.move-item-up').addEventListener('click', () => {
+                this.history.run('小タスクを移動', () => this.store.moveItem(groupId, section.id, item.id, 'up'));
+            });
+            li.querySelector('.move-item-down').addEventListener('click', () => {
+                this.history.run('小タスクを移動', () => this.store.moveItem(groupId, section.id, item.id, 'down'));
+            });
+            li.querySelector('.remove-item-btn').addEventListener('click', () => {
+                this.history.run('小タスクを削除', () => this.store.deleteItem(groupId, section.id, item.id));
+                this.showUndoToast('小タスクを削除しました');
+                // Deleting the last open item finishes the group
+                this.handleCompletionChange(groupId);
+            });
+        } else {
+            li.innerHTML = `
+                ${subtaskToggle}
+                <div class="mini-check">
+                    <i class="fas fa-check"></i>
+                </div>
+                <span class="mini-text">${this.highlightText(item.text)}</span>
+                ${detailsHtml}
+                ${subtaskCount}
+                ${readOnly ? '' : this.renderItemDue(item)}
+                ${noteHtml}
+            `;
+        }
+        if (!readOnly) {
+            li.querySelector('.mini-check').addEventListener('click', () => {
+                // Items with a quantity are ticked off one at a time
+                if (item.quantity && !item.completed) {
+                    this.stepItem(groupId, item.id, 1);
+                } else {
+                    this.toggleItem(groupId, item.id);
+                }
+            });
+            const countDown = li.querySelector('.item-count-down');
+            if (countDown) countDown.addEventListener('click', () => this.stepItem(groupId, item.id, -1));
+        }
+        if (children.length > 0) {
+            li.querySelector('.subtask-toggle').addEventListener('click', () => this.toggleSubtasks(item.id));
+        }
+        const previousChildren = previous && previous.querySelector(':scope > .subtask-list');
+        if (previousChildren) li.appendChild(previousChildren);
+        return li;
+    }
+
+    toggleSubtasks(itemId) {
+        if (this.collapsedItemIds.has(itemId)) {
+            this.collapsedItemIds.delete(itemId);
+        } else {
+            this.collapsedItemIds.add(itemId);
+        }
+        this.render();
+    }
+
+    addSubtask(groupId, sectionId, parentItemId) {
+        const text = prompt('サブタスク名:');
+        if (!text || !text.trim()) return;
+        this.collapsedItemIds.delete(parentItemId);
+        this.history.run('サブタスクを追加', () => this.store.addItem(groupId, sectionId, text.trim(), parentItemId));
+    }
+
+    bindInlineEdit(el, original, onCommit) {
+        el.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.isComposing) {
+                e.preventDefault();
+                el.blur();
+            } else if (e.key === 'Escape') {
+                el.innerText = original;
+                el.blur();
+            }
+        });
+        el.addEventListener('blur', () => {
+            const value = el.innerText.trim();
+            if (!value) {
+                // Empty text is not a valid title; restore the previous one
+                el.innerText = original;
+                return;
+            }
+            if (value !== original) onCommit(value);
+        });
+    }
+
+    focusSectionAddInput(groupId, sectionId) {
+        const sectionEl = this.elements.activeContainer.querySelector(
+            `.group-section[data-group-id="${CSS.escape(groupId)}"][data-section-id="${CSS.escape(sectionId)}"]`
+        );
+        const input = sectionEl && sectionEl.querySelector('.mini-add-input');
+        if (input) input.focus();
+    }
+
+    toggleGroupEditing(groupId) {
+        if (this.editingGroupIds.has(groupId)) {
+            this.editingGroupIds.delete(groupId);
+        } else {
+            this.editingGroupIds.add(groupId);
+        }
+        this.renderActiveGroups();
+    }
+
+    addGroupSection(groupId) {
+        const title = prompt('大タスク名:');
+        if (!title || !title.trim()) return;
+        const section = this.history.run('大タスクを追加', () => this.store.addSection(groupId, title.trim()));
+        if (section) this.focusSectionAddInput(groupId, section.id);
+    }
+
+    moveGroupSection(groupId, sectionId, direction) {
+        this.history.run('大タスクを移動', () => this.store.moveSection(groupId, sectionId, direction));
+    }
+
+    deleteGroupSection(groupId, sectionId) {
+        if (confirm('このグループを削除しますか？')) {
+            this.history.run('大タスクを削除', () => this.store.deleteSection(groupId, sectionId));
+            this.showUndoToast('大タスクを削除しました');
+            this.handleCompletionChange(groupId);
+        }
+    }
+
+
+
+    renderTemplates() {
+        const templates = this.filterEntities(this.store.getTemplates(), 'template');
+        const container = this.elements.templatesContainer;
+        container.innerHTML = '';
+        if (templates.length === 0 && this.hasActiveFilters()) this.renderNoMatches(container);
+
+        templates.forEach(tpl => {
+            const card = document.createElement('div');
+            card.className = 'card template-card';
+
+            // Preview: Show first 2 sections and their first 2 items, or the search hits,
+            // with included templates expanded in place
+            const sections = this.store.resolveTemplateSections(tpl.id);
+            const query = this.filters.query.trim().toLowerCase();
+            const hits = query
+                ? sections
+                    .map(sec => ({
+                        title: sec.title,
+                        included: !tpl.sections.includes(sec),
+                        items: sec.title.toLowerCase().includes(query)
+                            ? sec.items.slice(0, 2)
+                            : this.store.flattenItems(sec.items).filter(i => i.text.toLowerCase().includes(query))
+                    }))
+                    .filter(sec => sec.items.length > 0 || sec.title.toLowerCase().includes(query))
+                : [];
+            const previewSections = hits.length > 0
+                ? hits
+                : sections.slice(0, 2).map(sec => ({
+                    title: sec.title,
+                    included: !tpl.sections.includes(sec),
+                    items: sec.items.slice(0, 2)
+                }));
+            let previewHtml = '';
+            previewSections.forEach(sec => {
+                const icon = sec.included ? '<i class="fas fa-link" title="挿入したテンプレート"></i> ' : '';
+                previewHtml += `<div class="preview-section-title ${sec.included ? 'preview-include' : ''}">${icon}${this.highlightText(sec.title, true)}</div>`;
+                sec.items.forEach(i => {
+                    previewHtml += `<div class="preview-item ${i.optional ? 'optional' : ''}">• ${this.highlightText(MarkdownChecklist.formatItemText(i), true)}</div>`;
+                });
+            });
+
+            const scheduleHtml = tpl.schedule
+                ? `<div class="card-meta schedule-meta"><i class="fas fa-repeat"></i> ${this.describeSchedule(tpl.schedule)}</div>`
+                : '';
+            const tags = this.store.getTemplateTags(tpl.id);
+            const tagsHtml = tags.length > 0
+                ? `<div class="card-meta"><i class="fas fa-tags"></i> 条件: ${tags.map(tag => this.escapeHtml(tag)).join('・')}</div>`
+                : '';
+            const included = [...this.store.getIncludedTemplateIds(tpl.id)]
+                .map(id => this.store.getTemplates().find(t => t.id === id))
+                .filter(Boolean);
+            const includesHtml = included.length > 0
+                ? `<div class="card-meta include-meta"><i class="fas fa-link"></i> 挿入: ${included.map(t => this.escapeHtml(t.title)).join('・')}</div>`
+                : '';
+
+            card.innerHTML = `
+                <div class="card-header">
+                    <div>
+                        <div class="card-title">${this.highlightText(tpl.title, true)}</div>
+                        ${scheduleHtml}
+                        ${tagsHtml}
+                        ${includesHtml}
+                    </div>
+                    <div class="card-actions">
+                        <button class="icon-btn btn-schedule-tpl ${tpl.schedule ? 'active' : ''}" title="繰り返し設定">
+                           <i class="fas fa-clock"></i>
+                        </button>
+                        <button class="icon-btn btn-auto-archive-tpl ${tpl.autoArchive ? 'active' : ''}" title="完了時の動作">
+                           <i class="fas fa-box-archive"></i>
+                        </button>
+                        <button class="icon-btn btn-markdown-tpl" title="Markdownで書き出し">
+                           <i class="fab fa-markdown"></i>
+                        </button>
+                        <button class="icon-btn btn-history-tpl" title="変更履歴">
+                           <i class="fas fa-clock-rotate-left"></i>
+                        </button>
+                        <button class="icon-btn btn-duplicate-tpl" title="複製">
+                           <i class="fas fa-copy"></i>
+                        </button>
+                        <button class="icon-btn btn-edit-tpl" title="編集">
+                           <i class="fas fa-pen"></i>
+                        </button>
+                        <button class="icon-btn danger btn-delete-tpl" title="削除">
+                           <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </div>
+                <div class="template-items-preview">${previewHtml}</div>
+                <button class="btn-start-group">
+                    <i class="fas fa-play"></i> このテンプレートで開始
+                </button>
+            `;
+            card.querySelector('.btn-schedule-tpl').addEventListener('click', () => this.openScheduleModal(tpl.id));
+            card.querySelector('.btn-auto-archive-tpl').addEventListener('click', () => this.openAutoArchiveModal(tpl.id));
+            card.querySelector('.btn-markdown-tpl').addEventListener('click', () => this.exportMarkdown(tpl.title, sections));
+            card.querySelector('.btn-history-tpl').addEventListener('click', () => this.openRevisionsModal(tpl.id));
+            card.querySelector('.btn-duplicate-tpl').addEventListener('click', () => this.duplicateTemplate(tpl.id));
+            card.querySelector('.btn-edit-tpl').addEventListener('click', () => this.editTemplate(tpl.id));
+            card.querySelector('.btn-delete-tpl').addEventListener('click', () => this.deleteTemplate(tpl.id));
+            card.querySelector('.btn-start-group').addEventListener('click', () => this.startFromTemplate(tpl.id));
+            container.appendChild(card);
+        });
+    }
+
+    duplicateTemplate(id) {
+        if (confirm('このテンプレートを複製しますか？')) {
+            const newTemplate = this.history.run('テンプレートを複製', () => this.store.duplicateTemplate(id));
+            if (newTemplate) {
+                // Open modal to edit the new template immediately
+                this.editTemplate(newTemplate.id);
+            }
+        }
+    }
+
+    closeModal() {
+        this.elements.modal.classList.add('hidden');
+        this.currentEditId = null;
+        this.elements.tplTitleInput.value = '';
+        this.elements.tplSectionsContainer.innerHTML = '';
+    }
+
+    openModal(template = null) {
+        this.elements.modal.classList.remove('hidden');
+        this.elements.tplTitleInput.value = '';
+        this.elements.tplSectionsContainer.innerHTML = '';
+        this.setEditorMode('list');
+
+        if (template) {
+            this.currentEditId = template.id;
+            this.elements.tplTitleInput.value = template.title;
+            const header = document.querySelector('#template-modal h3');
+            if (header) header.innerText = 'テンプレート編集';
+
+            // Load Sections
+            template.sections.forEach(sec => {
+                if (sec.includeTemplateId) {
+                    this.addTemplateIncludeSection(sec.includeTemplateId, sec.id, sec.tags);
+                } else {
+                    this.addTemplateSection(sec.title, sec.items, sec.id, sec.tags);
+                }
+            });
+        } else {
+            this.currentEditId = null;
+            this.elements.tplTitleInput.value = '';
+            const header = document.querySelector('#template-modal h3');
+            if (header) header.innerText = '新規テンプレート作成';
+
+            // Add one default section
+            this.addTemplateSection('');
+        }
+    }
+
+    // items: texts or template items; ids are kept so saving doesn't unlink started groups
+    // tags: condition tags; the section is only used when starting with one of them selected
+    addTemplateSection(title = '', items = [], sectionId = '', tags = []) {
+        const div = document.createElement('div');
+        div.className = 'tpl-section';
+        div.dataset.sectionId = sectionId;
+
+        div.innerHTML = `
+            <div class="tpl-section-header">
+                <i class="fas fa-grip-vertical drag-handle tpl-section-drag" title="ドラッグして移動"></i>
+                <div class="section-controls">
+                    <button class="icon-btn move-up-btn" title="上に移動"><i class="fas fa-chevron-up"></i></button>
+                    <button class="icon-btn move-down-btn" title="下に移動"><i class="fas fa-chevron-down"></i></button>
+                </div>
+                <input type="text" class="tpl-section-title-input" placeholder="大タスク名 (例: 持ち物)" value="${this.escapeHtml(title)}">
+                <input type="text" class="tpl-tags-input tpl-section-tags" placeholder="条件タグ" title="条件タグ (カンマ区切り)。開始時に選んだ場合だけ含めます" value="${this.escapeHtml((tags || []).join(', '))}">
+                <button class="icon-btn danger remove-section-btn"><i class="fas fa-trash"></i></button>
+            </div>
+            <div class="tpl-section-items"></div>
+            <div class="tpl-section-footer">
+                <button class="btn-add-item-to-section text-btn"><i class="fas fa-plus"></i> 小タスク追加</button>
+            </div>
+        `;
+
+        // Bind Events
+        div.querySelector('.remove-section-btn').addEventListener('click', () => {
+            if (confirm('このグループを削除しますか？')) div.remove();
+        });
+        div.querySelector('.move-up-btn').addEventListener('click', () => this.moveNode(div, 'up'));
+        div.querySelector('.move-down-btn').addEventListener('click', () => this.moveNode(div, 'down'));
+
+        const itemsContainer = div.querySelector('.tpl-section-items');
+        div.querySelector('.btn-add-item-to-section').addEventListener('click', () => {
+            this.addTemplateItemToSection(itemsContainer, '');
+        });
+
+        this.elements.tplSectionsContainer.appendChild(div);
+
+        // Add initial items if provided
+        items.forEach(item => this.addTemplateItemToSection(itemsContainer, item));
+
+        // If new section (no title, no items), add one blank item
+        if (!title && items.length === 0) {
+            this.addTemplateItemToSection(itemsContainer, '');
+        }
+    }
+
+    // A section that pulls in another template's sections when a group is started
+    addTemplateIncludeSection(includeTemplateId = '', sectionId = '', tags = []) {
+        const templates = this.store.getIncludableTemplates(this.currentEditId);
+        if (templates.length === 0 && !includeTemplateId) {
+            alert('挿入できるテンプレートがありません');
+            return;
+        }
+        const options = templates.map(tpl => (
+            `<option value="${this.escapeHtml(tpl.id)}" ${tpl.id === includeTemplateId ? 'selected' : ''}>${this.escapeHtml(tpl.title)}</option>`
+        ));
+        // Keep a reference to a deleted template rather than silently dropping it
+        if (includeTemplateId && !templates.some(tpl => tpl.id === includeTemplateId)) {
+            options.unshift(`<option value="${this.escapeHtml(includeTemplateId)}" selected>(見つからないテンプレート)</option>`);
+        }
+
+        const div = document.createElement('div');
+        div.className = 'tpl-section tpl-include-section';
+        div.dataset.sectionId = sectionId;
+        div.innerHTML = `
+            <div class="tpl-section-header">
+                <i class="fas fa-grip-vertical drag-handle tpl-section-drag" title="ドラッグして移動"></i>
+                <div class="section-controls">
+                    <button class="icon-btn move-up-btn" title="上に移動"><i class="fas fa-chevron-up"></i></button>
+                    <button class="icon-btn move-down-btn" title="下に移動"><i class="fas fa-chevron-down"></i></button>
+                </div>
+                <i class="fas fa-link tpl-include-icon" title="テンプレートを挿入"></i>
+                <select class="tpl-include-select">${options.join('')}</select>
+                <input type="text" class="tpl-tags-input tpl-section-tags" placeholder="条件タグ" title="条件タグ (カンマ区切り)。開始時に選んだ場合だけ含めます" value="${this.escapeHtml((tags || []).join(', '))}">
+                <button class="icon-btn danger remove-section-btn"><i class="fas fa-trash"></i></button>
+            </div>
+            <div class="tpl-include-summary"></div>
+        `;
+
+        const select = div.querySelector('.tpl-include-select');
+        const updateSummary = () => {
+            const titles = this.store.resolveTemplateSections(select.value).map(sec => sec.title);
+            div.querySelector('.tpl-include-summary').textContent = titles.length > 0
+                ? `開始時に展開: ${titles.join('・')}`
+                : '開始時には何も追加されません';
+        };
+        select.addEventListener('change', updateSummary);
+        div.querySelector('.remove-section-btn').addEventListener('click', () => {
+            if (confirm('このテンプレートの挿入を解除しますか？')) div.remove();
+        });
+        div.querySelector('.move-up-btn').addEventListener('click', () => this.moveNode(div, 'up'));
+        div.querySelector('.move-down-btn').addEventListener('click', () => this.moveNode(div, 'down'));
+
+        updateSummary();
+        this.elements.tplSectionsContainer.appendChild(div);
+    }
+
+    // item: text, or { id?, text, note?, quantity?, optional?, children? } with children of the same shape
+    addTemplateItemToSection(container, item = '') {
+        const data = typeof item === 'string' ? { text: item } : item;
+        const hasDetails = !!(data.note || data.quantity > 1 || data.optional || (data.tags && data.tags.length > 0));
+        const div = document.createElement('div');
+        div.className = `tpl-item-row ${hasDetails ? 'show-details' : ''}`;
+        div.dataset.itemId = data.id || '';
+        div.innerHTML = `
+            <i class="fas fa-grip-vertical drag-handle tpl-item-drag" title="ドラッグして移動"></i>
+            <div class="item-controls">
+                 <i class="fas fa-chevron-up move-item-up"></i>
+                 <i class="fas fa-chevron-down move-item-down"></i>
+            </div>
+            <i class="fas fa-dot-circle tpl-item-bullet"></i>
+            <span contenteditable="true" class="editable-span">${this.escapeHtml(data.text)}</span>
+            <i class="fas fa-sliders toggle-item-details-btn" title="メモ・数量・任意・条件"></i>
+            <i class="fas fa-outdent outdent-item-btn" title="階層を上げる"></i>
+            <i class="fas fa-indent indent-item-btn" title="サブタスクにする"></i>
+            <i class="fas fa-times remove-item-btn"></i>
+            <div class="tpl-item-details">
+                <input type="text" class="tpl-item-note" placeholder="メモ" value="${this.escapeHtml(data.note || '')}">
+                <label>数量 <input type="number" class="tpl-item-quantity" min="1" step="1" value="${data.quantity || 1}"></label>
+                <label><input type="checkbox" class="tpl-item-optional" ${data.optional ? 'checked' : ''}> 任意</label>
+                <input type="text" class="tpl-tags-input tpl-item-tags" placeholder="条件タグ" title="条件タグ (カンマ区切り)。開始時に選んだ場合だけ含めます" value="${this.escapeHtml((data.tags || []).join(', '))}">
+            </div>
+            <div class="tpl-section-items tpl-item-children"></div>
+        `;
+        div.querySelector('.toggle-item-details-btn').addEventListener('click', () => div.classList.toggle('show-details'));
+        div.querySelector('.remove-item-btn').addEventListener('click', () => {
+            // Subtasks go with their parent
+            div.remove();
+        });
+        div.querySelector('.move-item-up').addEventListener('click', () => this.moveNode(div, 'up'));
+        div.querySelector('.move-item-down').addEventListener('click', () => this.moveNode(div, 'down'));
+        div.querySelector('.indent-item-btn').addEventListener('click', () => this.indentTemplateItem(div));
+        div.querySelector('.outdent-item-btn').addEventListener('click', () => this.outdentTemplateItem(div));
+
+        container.appendChild(div);
+
+        const childrenContainer = div.querySelector('.tpl-item-children');
+        (data.children || []).forEach(child => this.addTemplateItemToSection(childrenContainer, child));
+    }
+
+    // Makes the row the last subtask of the row above it
+    indentTemplateItem(row) {
+        const prev = row.previousElementSibling;
+        if (prev && prev.matches('.tpl-item-row')) {
+            prev.querySelector(':scope > .tpl-item-children').appendChild(row);
+        }
+    }
+
+    // Moves a subtask out to just after its parent
+    outdentTemplateItem(row) {
+        const parentRow = row.parentNode.closest('.tpl-item-row');
+        if (parentRow) parentRow.after(row);
+    }
+
+    // --- Drag and Drop ---
+
+    bindDragSorting() {
+        // Template editor: the DOM is the source of truth until the template is saved
+        const editor = this.elements.tplSectionsContainer;
+        new DragSorter(editor, {
+            itemSelector: '.tpl-section',
+            handleSelector: '.tpl-section-drag',
+            containerSelector: '.tpl-sections-container'
+        });
+        new DragSorter(editor, {
+            itemSelector: '.tpl-item-row',
+            handleSelector: '.tpl-item-drag',
+            containerSelector: '.tpl-section-items'
+        });
+
+        // Active tab: drops are persisted through the store
+        const active = this.elements.activeContainer;
+        const sameGroup = (container, item) => container.closest('.card') === item.closest('.card');
+        new DragSorter(active, {
+            itemSelector: '.card',
+            handleSelector: '.card-drag-handle',
+            containerSelector: '#active-groups-container',
+            layout: 'grid',
+            onDrop: () => this.dropGroupCard()
+        });
+        new DragSorter(active, {
+            itemSelector: '.group-section',
+            handleSelector: '.section-drag-handle',
+            containerSelector: '.group-sections',
+            accepts: sameGroup,
+            onDrop: el => this.dropGroupSection(el)
+        });
+        new DragSorter(active, {
+            itemSelector: '.mini-todo-item',
+            handleSelector: '.item-drag-handle',
+            containerSelector: '.mini-todo-list',
+            accepts: sameGroup,
+            onDrop: el => this.dropGroupItem(el)
+        });
+    }
+
+    // Card order is only meaningful when every active group is shown in stored order
+    canReorderGroups() {
+        return this.filters.sort === 'default' && !this.hasActiveFilters();
+    }
+
+    // Only the order of the draggable (deadline-free) cards is stored; cards with deadlines stay sorted by them
+    dropGroupCard() {
+        const ids = Array.from(this.elements.activeContainer.children)
+            .filter(el => el.querySelector('.card-drag-handle'))
+            .map(el => el.dataset.groupId)
+            .filter(Boolean);
+        this.history.run('グループを並び替え', () => this.store.reorderGroups(ids));
+        // Also puts the dragged element back if the store refused the move
+        this.renderActiveGroups();
+    }
+
+    dropGroupSection(sectionEl) {
+        const index = Array.from(sectionEl.parentNode.children)
+            .filter(el => el.matches('.group-section'))
+            .indexOf(sectionEl);
+        const { groupId, sectionId } = sectionEl.dataset;
+        this.history.run('大タスクを移動', () => this.store.moveSectionTo(groupId, sectionId, index));
+        this.renderActiveGroups();
+    }
+
+    dropGroupItem(itemEl) {
+        const sectionEl = itemEl.closest('.group-section');
+        const parentEl = itemEl.parentNode.closest('.mini-todo-item');
+        const index = Array.from(itemEl.parentNode.children)
+            .filter(el => el.matches('.mini-todo-item'))
+            .indexOf(itemEl);
+        const { groupId, sectionId } = sectionEl.dataset;
+        const parentId = parentEl ? parentEl.dataset.itemId : null;
+        this.history.run('小タスクを移動', () => this.store.moveItemTo(groupId, itemEl.dataset.itemId, sectionId, index, parentId));
+        this.renderActiveGroups();
+    }
+
+    moveNode(node, direction) {
+        if (direction === 'up') {
+            const prev = node.previousElementSibling;
+            if (prev) node.parentNode.insertBefore(node, prev);
+        } else {
+            const next = node.nextElementSibling;
+            if (next) node.parentNode.insertBefore(next, node);
+        }
+    }
+
+    saveTemplate() {
+        // Pasted text that has not been applied yet is what the user sees, so save that
+        if (this.editorMode === 'text' && !this.applyTemplateText()) return;
+
+        const title = this.elements.tplTitleInput.value.trim();
+        if (!title) {
+            alert('テンプレート名を入力してください');
+            return;
+        }
+
+        const sectionsData = this.collectTemplateSections().map(sec => ({
+            ...sec,
+            title: sec.title || '名称未設定'
+        }));
+
+        if (sectionsData.length === 0) {
+            alert('少なくとも1つのセクション・タスクを追加してください');
+            return;
+        }
+
+        if (this.currentEditId) {
+            this.history.run('テンプレートを編集', () => this.store.updateTemplate(this.currentEditId, title, sectionsData));
+        } else {
+            this.history.run('テンプレートを作成', () => this.store.createTemplate(title, sectionsData));
+        }
+        this.closeModal();
+        this.switchTab('templates');
+    }
+
+    collectTemplateSections() {
+        const sectionsData = [];
+        const sectionEls = this.elements.tplSectionsContainer.querySelectorAll('.tpl-section');
+
+        sectionEls.forEach(secEl => {
+            const secTags = this.parseTagInput(secEl.querySelector('.tpl-section-tags').value);
+            const includeSelect = secEl.querySelector('.tpl-include-select');
+            if (includeSelect) {
+                // The included template's current title, so text mode can refer to it by name
+                const include = {
+                    id: secEl.dataset.sectionId || null,
+                    title: includeSelect.selectedOptions[0].textContent,
+                    includeTemplateId: includeSelect.value,
+                    items: []
+                };
+                if (secTags.length > 0) include.tags = secTags;
+                sectionsData.push(include);
+                return;
+            }
+            const secTitle = secEl.querySelector('.tpl-section-title-input').value.trim();
+            const collectItems = containerEl => {
+                const items = [];
+                containerEl.querySelectorAll(':scope > .tpl-item-row').forEach(row => {
+                    const val = row.querySelector(':scope > .editable-span').innerText.trim();
+                    const children = collectItems(row.querySelector(':scope > .tpl-item-children'));
+                    // Filtering empty items is usually good UX; their subtasks move up a level
+                    if (val) {
+                        const details = row.querySelector(':scope > .tpl-item-details');
+                        const note = details.querySelector('.tpl-item-note').value.trim();
+                        const quantity = parseInt(details.querySelector('.tpl-item-quantity').value, 10);
+                        const tags = this.parseTagInput(details.querySelector('.tpl-item-tags').value);
+                        const item = { id: row.dataset.itemId || null, text: val, children };
+                        if (note) item.note = note;
+                        if (quantity > 1) item.quantity = quantity;
+                        if (details.querySelector('.tpl-item-optional').checked) item.optional = true;
+                        if (tags.length > 0) item.tags = tags;
+                        items.push(item);
+                    } else {
+                        items.push(...children);
+                    }
+                });
+                return items;
+            };
+            const items = collectItems(secEl.querySelector('.tpl-section-items'));
+
+            // FIXED: Allow section even if items are empty, as long as the intention is to create a section.
+            // But usually a section should have items. Let's allow it if title is set OR items exist.
+            // If both are empty (default new section not touched), maybe skip?
+            // User feedback: "Could not save". Probably they had a section but maybe items check failed.
+            // Let's Just push it regardless, or check if it's "worth" saving.
+            // Reverting to: always push if it exists in DOM, trusting user deletion.
+            const section = { id: secEl.dataset.sectionId || null, title: secTitle, items: items };
+            if (secTags.length > 0) section.tags = secTags;
+            sectionsData.push(section);
+        });
+        return sectionsData;
+    }
+
+    // "雨, #海外 キャンプ" → ['雨', '海外', 'キャンプ']
+    parseTagInput(value) {
+        const tags = value.split(/[,、\s]+/).map(tag => tag.replace(/^#/, '').trim()).filter(Boolean);
+        return [...new Set(tags)];
+    }
+
+    // --- Text / Markdown Mode ---
+
+    setEditorMode(mode) {
+        this.editorMode = mode;
+        this.elements.editorModeBtns.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.editorMode === mode);
+        });
+        this.elements.tplListEditor.style.display = mode === 'list' ? '' : 'none';
+        this.elements.tplTextEditor.style.display = mode === 'text' ? '' : 'none';
+
+        if (mode === 'text') {
+            // Start from the current editor contents so nothing is lost by switching
+            const sections = this.collectTemplateSections()
+                .filter(sec => sec.title || sec.items.length > 0)
+                .map(sec => ({ ...sec, title: sec.title || '名称未設定' }));
+            this.elements.tplTextInput.value = MarkdownChecklist.stringify('', sections);
+            this.renderTemplateTextPreview();
+            this.elements.tplTextInput.focus();
+        }
+    }
+
+    renderTemplateTextPreview() {
+        const { title, sections } = MarkdownChecklist.parse(this.elements.tplTextInput.value);
+        let previewHtml = '';
+        if (title) previewHtml += `<div class="card-title">${this.escapeHtml(title)}</div>`;
+        const addItems = (items, depth) => items.forEach(item => {
+            previewHtml += `<div class="preview-item" style="padding-left: ${depth}rem">• ${this.escapeHtml(MarkdownChecklist.formatItemText(item))}</div>`;
+            addItems(item.children, depth + 1);
+        });
+        sections.forEach(sec => {
+            if (sec.include) {
+                previewHtml += `<div class="preview-section-title preview-include"><i class="fas fa-link"></i> ${this.escapeHtml(sec.title)}</div>`;
+                return;
+            }
+            previewHtml += `<div class="preview-section-title">${this.escapeHtml(sec.title)}</div>`;
+            addItems(sec.items, 0);
+        });
+        this.elements.tplTextPreview.innerHTML = previewHtml || '<p class="recovery-empty">プレビューはここに表示されます</p>';
+    }
+
+    applyTemplateText() {
+        const { title, sections } = MarkdownChecklist.parse(this.elements.tplTextInput.value);
+        if (sections.length === 0) {
+            alert('テキストからタスクを読み取れませんでした');
+            return false;
+        }
+        // `## @名前` refers to a template by its title
+        const includable = this.store.getIncludableTemplates(this.currentEditId);
+        const missing = sections.find(sec => sec.include && !includable.some(tpl => tpl.title === sec.title));
+        if (missing) {
+            alert(`挿入できるテンプレート「${missing.title}」が見つかりません`);
+            return false;
+        }
+        if (title && !this.elements.tplTitleInput.value.trim()) {
+            this.elements.tplTitleInput.value = title;
+        }
+        this.elements.tplSectionsContainer.innerHTML = '';
+        sections.forEach(sec => {
+            if (sec.include) {
+                this.addTemplateIncludeSection(includable.find(tpl => tpl.title === sec.title).id, '', sec.tags);
+            } else {
+                this.addTemplateSection(sec.title, sec.items, '', sec.tags);
+            }
+        });
+        this.setEditorMode('list');
+        return true;
+    }
+
+    exportMarkdown(title, sections) {
+        const filename = `${title.replace(/[\\/:*?"<>|]/g, '_')}.md`;
+        this.downloadFile(filename, MarkdownChecklist.stringify(title, sections), 'text/markdown');
+    }
+
+    editTemplate(id) {
+        const template = this.store.getTemplates().find(t => t.id === id);
+        if (template) {
+            this.openModal(template);
+        } else {
+            alert('Template load failed: ' + id);
+        }
+    }
+
+    renderArchives() {
+        const archivedAt = g => g.archivedAt || g.updatedAt;
+        const groups = this.store.getGroups('archived');
+        groups.sort((a, b) => archivedAt(b) - archivedAt(a));
+        const visible = this.filterEntities(groups, 'archived');
+        const container = this.elements.archiveContainer;
+        container.innerHTML = '';
+        if (visible.length === 0 && this.hasActiveFilters()) this.renderNoMatches(container);
+        const query = this.filters.query.trim().toLowerCase();
+
+        // Forget selections of groups that are gone (deleted, unarchived, purged) or filtered out
+        this.selectedArchiveIds.forEach(id => {
+            if (!visible.some(g => g.id === id)) this.selectedArchiveIds.delete(id);
+        });
+        this.updateArchiveToolbar(visible.length);
+
+        visible.forEach(group => {
+            const card = document.createElement('div');
+            // Hits inside sections are only visible when the card is open
+            const hasInnerHit = query && group.sections.some(sec => (
+                sec.title.toLowerCase().includes(query) || this.store.flattenItems(sec.items).some(i => i.text.toLowerCase().includes(query))
+            ));
+            const isExpanded = this.expandedArchiveIds.has(group.id) || hasInnerHit;
+            const isSelected = this.selectedArchiveIds.has(group.id);
+            card.className = `card archive-card ${isExpanded ? 'expanded' : ''} ${isSelected ? 'selected' : ''}`;
+            card.innerHTML = `
+                <div class="card-header">
+                    <div class="archive-card-title">
+                        <input type="checkbox" class="archive-select" title="選択" ${isSelected ? 'checked' : ''}>
+                        <div>
+                            <div class="card-title">${this.highlightText(group.title)}</div>
+                            <div class="card-meta">完了日: ${new Date(archivedAt(group)).toLocaleDateString()}</div>
+                        </div>
+                    </div>
+                    <div class="card-actions">
+                        <button class="icon-btn btn-expand-archive" title="${isExpanded ? '閉じる' : '内容を表示'}">
+                            <i class="fas ${isExpanded ? 'fa-chevron-up' : 'fa-chevron-down'}"></i>
+                        </button>
+                        <button class="icon-btn btn-rerun-group" title="もう一度実行">
+                            <i class="fas fa-play"></i>
+                        </button>
+                        <button class="icon-btn btn-save-as-template" title="テンプレートとして保存">
+                            <i class="fas fa-file-circle-plus"></i>
+                        </button>
+                        <button class="icon-btn btn-markdown-group" title="Markdownで書き出し">
+                            <i class="fab fa-markdown"></i>
+                        </button>
+                         <button class="icon-btn btn-unarchive" title="戻す">
+                            <i class="fas fa-undo"></i>
+                        </button>
+                        <button class="icon-btn danger btn-delete-group">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </div>
+                ${isExpanded ? '<div class="group-sections archive-detail"></div>' : ''}
+            `;
+            card.querySelector('.archive-select').addEventListener('change', (e) => this.toggleArchiveSelection(group.id, e.target.checked));
+            card.querySelector('.btn-expand-archive').addEventListener('click', () => this.toggleArchiveExpanded(group.id));
+            card.querySelector('.btn-rerun-group').addEventListener('click', () => this.rerunGroup(group.id));
+            card.querySelector('.btn-save-as-template').addEventListener('click', () => this.openSaveAsTemplateModal(group.id));
+            card.querySelector('.btn-markdown-group').addEventListener('click', () => this.exportMarkdown(group.title, group.sections));
+            card.querySelector('.btn-unarchive').addEventListener('click', () => this.unarchiveGroup(group.id));
+            card.querySelector('.btn-delete-group').addEventListener('click', () => this.deleteGroup(group.id));
+            if (isExpanded) {
+                const detailEl = card.querySelector('.archive-detail');
+                group.sections.forEach(section => this.renderSection(group.id, section, detailEl, false, true));
             }
+            container.appendChild(card);
         });
     }
 
-    updateDateDisplay() {
-        const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
-        this.elements.dateDisplay.innerText = new Date().toLocaleDateString('ja-JP', options);
+    // --- Search & Filters ---
+
+    getDefaultFilters() {
+        return { query: '', templateId: '', dateFrom: '', dateTo: '', completion: '', sort: 'default' };
     }
 
-    switchTab(tabId) {
-        this.elements.navBtns.forEach(btn => {
-            if (btn.dataset.tab === tabId) btn.classList.add('active');
-            else btn.classList.remove('active');
+    hasActiveFilters() {
+        const defaults = this.getDefaultFilters();
+        return Object.keys(defaults).some(key => key !== 'sort' && this.filters[key] !== defaults[key]);
+    }
+
+    // Reads the search bar into this.filters and re-renders the current tab
+    updateFilters() {
+        this.filters = {
+            query: this.elements.searchInput.value,
+            templateId: this.elements.filterTemplate.value,
+            dateFrom: this.elements.filterDateFrom.value,
+            dateTo: this.elements.filterDateTo.value,
+            completion: this.elements.filterCompletion.value,
+            sort: this.elements.filterSort.value
+        };
+        this.elements.btnClearFilters.style.display = this.hasActiveFilters() ? '' : 'none';
+        this.render();
+    }
+
+    clearFilters() {
+        this.filters = this.getDefaultFilters();
+        this.elements.searchInput.value = '';
+        this.elements.filterTemplate.value = '';
+        this.elements.filterDateFrom.value = '';
+        this.elements.filterDateTo.value = '';
+        this.elements.filterCompletion.value = '';
+        this.elements.filterSort.value = 'default';
+        this.updateFilters();
+    }
+
+    // Keeps the template filter options in step with the templates that exist
+    renderTemplateFilterOptions() {
+        const select = this.elements.filterTemplate;
+        const current = select.value;
+        select.innerHTML = '<option value="">すべてのテンプレート</option><option value="none">テンプレートなし</option>';
+        this.store.getTemplates().forEach(tpl => {
+            const option = document.createElement('option');
+            option.value = tpl.id;
+            option.innerText = tpl.title;
+            select.appendChild(option);
         });
-        this.elements.tabContents.forEach(content => {
-            if (content.id === `tab-${tabId}`) content.classList.add('active');
-            else content.classList.remove('active');
+        select.value = current;
+        if (select.value !== current) {
+            // The selected template was deleted
+            select.value = '';
+            this.filters.templateId = '';
+        }
+    }
+
+    /**
+     * Applies the search query, filters and sort order to a list of
+     * templates ('template') or groups ('active' / 'archived').
+     * The default sort keeps each tab's own order.
+     */
+    filterEntities(list, kind) {
+        const f = this.filters;
+        const query = f.query.trim().toLowerCase();
+        const dayMs = 24 * 60 * 60 * 1000;
+        const dateOf = entity => (kind === 'archived' ? entity.archivedAt || entity.updatedAt : entity.createdAt);
+        // Templates are searched with their included templates expanded, as previewed
+        const sectionsOf = entity => (kind === 'template' ? this.store.resolveTemplateSections(entity.id) : entity.sections);
+        const matches = entity => entity.title.toLowerCase().includes(query) || sectionsOf(entity).some(sec => (
+            sec.title.toLowerCase().includes(query) || this.store.flattenItems(sec.items).some(i => i.text.toLowerCase().includes(query))
+        ));
+
+        const result = list.filter(entity => {
+            if (query && !matches(entity)) return false;
+            if (f.templateId) {
+                const sourceId = kind === 'template' ? entity.id : entity.templateId;
+                if (f.templateId === 'none' ? sourceId : sourceId !== f.templateId) return false;
+            }
+            if (f.dateFrom && dateOf(entity) < this.store.fromDateKey(f.dateFrom).getTime()) return false;
+            if (f.dateTo && dateOf(entity) >= this.store.fromDateKey(f.dateTo).getTime() + dayMs) return false;
+            if (f.completion && kind !== 'template') {
+                const { percent } = this.store.getGroupProgress(entity);
+                if (f.completion === 'none' && percent !== 0) return false;
+                if (f.completion === 'partial' && (percent === 0 || percent === 100)) return false;
+                if (f.completion === 'done' && percent !== 100) return false;
+            }
+            return true;
         });
-        this.render();
+
+        const progress = entity => (kind === 'template' ? 0 : this.store.getGroupProgress(entity).percent);
+        const due = entity => (kind === 'template' ? Infinity : this.store.getGroupUrgency(entity).dueAt || Infinity);
+        const comparators = {
+            newest: (a, b) => dateOf(b) - dateOf(a),
+            oldest: (a, b) => dateOf(a) - dateOf(b),
+            title: (a, b) => a.title.localeCompare(b.title, 'ja'),
+            progress: (a, b) => progress(b) - progress(a),
+            due: (a, b) => due(a) - due(b)
+        };
+        if (comparators[f.sort]) result.sort(comparators[f.sort]);
+        return result;
     }
 
-    render() {
-        const activeTab = document.querySelector('.nav-btn.active');
-        const currentTab = activeTab ? activeTab.dataset.tab : 'active';
-        switch (currentTab) {
-            case 'active':
-                this.renderActiveGroups();
-                break;
-            case 'templates':
-                this.renderTemplates();
-                break;
-            case 'archive':
-                this.renderArchives();
-                break;
+    // Escapes text for display, marking search hits (and optionally template placeholders)
+    highlightText(str, placeholders = false) {
+        const format = part => (placeholders ? this.highlightPlaceholders(part) : this.escapeHtml(part));
+        const query = this.filters.query.trim().toLowerCase();
+        if (!str || !query) return format(str);
+
+        const lower = str.toLowerCase();
+        let html = '';
+        let pos = 0;
+        let index;
+        while ((index = lower.indexOf(query, pos)) !== -1) {
+            html += format(str.slice(pos, index));
+            html += `<mark class="search-hit">${this.escapeHtml(str.slice(index, index + query.length))}</mark>`;
+            pos = index + query.length;
         }
+        return html + format(str.slice(pos));
     }
 
-    renderActiveGroups() {
-        const groups = this.store.getGroups('active');
-        const container = this.elements.activeContainer;
+    renderNoMatches(container) {
+        container.innerHTML = '<div class="empty-state search-empty"><i class="fas fa-magnifying-glass"></i><p>条件に一致するものはありません</p></div>';
+    }
+
+    // --- Due Dates & Reminders ---
+
+    formatDue(dueAt) {
+        return new Date(dueAt).toLocaleString('ja-JP', { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    }
+
+    renderItemDue(item) {
+        if (!item.dueAt) return '';
+        const level = item.completed ? 'done' : this.store.getUrgencyLevel(item.dueAt);
+        return `<span class="item-due urgency-${level}"><i class="fas fa-clock"></i> ${this.formatDue(item.dueAt)}</span>`;
+    }
+
+    // target: { groupId } or { groupId, sectionId, itemId }
+    openDueModal(target) {
+        const group = this.store.getGroups().find(g => g.id === target.groupId);
+        if (!group) return;
+        const owner = target.itemId
+            ? group.sections.flatMap(sec => this.store.flattenItems(sec.items)).find(i => i.id === target.itemId)
+            : group;
+        if (!owner) return;
+
+        this.pendingDueTarget = target;
+        this.elements.dueTargetLabel.innerText = owner.text || owner.title;
+        this.elements.dueInput.value = owner.dueAt ? this.toDateTimeInputValue(new Date(owner.dueAt)) : '';
+        this.elements.dueModal.classList.remove('hidden');
+        this.elements.dueInput.focus();
+    }
+
+    toDateTimeInputValue(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${this.store.toDateKey(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    saveDue(clear = false) {
+        const target = this.pendingDueTarget;
+        if (!target) return;
+        let dueAt = null;
+        if (!clear) {
+            dueAt = new Date(this.elements.dueInput.value).getTime();
+            if (isNaN(dueAt)) {
+                alert('期限の日時を入力してください');
+                return;
+            }
+        }
+
+        this.history.run(clear ? '期限を削除' : '期限を設定', () => (target.itemId
+            ? this.store.setItemDue(target.groupId, target.sectionId, target.itemId, dueAt)
+            : this.store.setGroupDue(target.groupId, dueAt)));
+        this.pendingDueTarget = null;
+        this.elements.dueModal.classList.add('hidden');
+        // Setting a deadline is a good moment to ask, and a user gesture as required
+        if (dueAt && typeof Notification !== 'undefined' && Notification.permission === 'default') {
+            this.requestNotificationPermission();
+        }
+    }
+
+    // Re-arms a timer for every upcoming reminder; called on every render
+    scheduleReminders() {
+        (this._reminderTimers || []).forEach(timer => clearTimeout(timer));
+        this._reminderTimers = [];
+        if (this.store.loadIssue) return;
+
+        const now = Date.now();
+        const due = [];
+        this.store.getPendingReminders().forEach(reminder => {
+            const delay = reminder.dueAt - now;
+            if (delay <= 0) {
+                due.push(reminder);
+            } else if (delay < 2147483647) {
+                // setTimeout can't wait longer; those get picked up on a later load
+                this._reminderTimers.push(setTimeout(() => this.fireReminders([reminder]), delay));
+            }
+        });
+        if (due.length > 0) this._reminderTimers.push(setTimeout(() => this.fireReminders(due), 0));
+    }
+
+    fireReminders(reminders) {
+        this.store.batch(() => reminders.forEach(r => this.store.markReminded(r.groupId, r.itemId)));
+        const lines = reminders.map(r => (r.itemId ? `${r.text} (${r.title})` : r.title));
+        const message = reminders.length === 1
+            ? `期限になりました: ${lines[0]}`
+            : `期限を過ぎたタスクが${reminders.length}件あります`;
+
+        if (!this.showReminderNotification(message, reminders, lines)) {
+            this.showReminderBanner(message, lines);
+        }
+    }
+
+    /**
+     * Shows a system notification. Returns false when that isn't possible,
+     * including browsers (Android Chrome) whose constructor throws.
+     */
+    showReminderNotification(message, reminders, lines) {
+        if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return false;
+        // The tag keeps other open tabs from showing the same reminder twice
+        const r = reminders[0];
+        try {
+            new Notification(message, {
+                body: reminders.length === 1 ? this.formatDue(r.dueAt) : lines.join('\n'),
+                tag: reminders.length === 1 ? `todo-due-${r.groupId}-${r.itemId || ''}` : 'todo-due-batch'
+            });
+            return true;
+        } catch (e) {
+            console.warn('Notification failed', e);
+            return false;
+        }
+    }
+
+    showReminderBanner(message, lines) {
+        this.elements.reminderMessage.innerText = message;
+        this.elements.reminderList.innerHTML = lines.length > 1
+            ? lines.map(line => `<li>${this.escapeHtml(line)}</li>`).join('')
+            : '';
+        const canAsk = typeof Notification !== 'undefined' && Notification.permission === 'default';
+        this.elements.btnEnableNotifications.style.display = canAsk ? '' : 'none';
+        this.elements.reminderBanner.classList.remove('hidden');
+    }
+
+    requestNotificationPermission() {
+        if (typeof Notification === 'undefined') {
+            alert('このブラウザは通知に対応していません。期限はアプリ内でお知らせします。');
+            return;
+        }
+        if (Notification.permission === 'denied') {
+            alert('通知がブロックされています。ブラウザのサイト設定から許可してください。');
+            return;
+        }
+        Notification.requestPermission().then(() => this.updateNotificationButton());
+    }
+
+    updateNotificationButton() {
+        const enabled = typeof Notification !== 'undefined' && Notification.permission === 'granted';
+        this.elements.btnNotifications.classList.toggle('active', enabled);
+        this.elements.btnNotifications.title = enabled ? '通知は有効です' : '通知を有効にする';
+        this.elements.btnNotifications.querySelector('i').className = `fas ${enabled ? 'fa-bell' : 'fa-bell-slash'}`;
+        if (enabled) this.elements.btnEnableNotifications.style.display = 'none';
+    }
+
+    // --- Analytics ---
+
+    renderAnalytics() {
+        const container = this.elements.analyticsContainer;
         container.innerHTML = '';
-        if (groups.length === 0) {
-            this.elements.emptyStateActive.style.display = 'block';
+        const stats = this.store.getTemplates()
+            .map(tpl => ({ tpl, analytics: this.store.getTemplateAnalytics(tpl.id) }))
+            .filter(({ analytics }) => analytics.runs > 0);
+
+        if (stats.length === 0) {
+            container.innerHTML = '<div class="empty-state"><i class="fas fa-chart-line"></i><p>テンプレートから開始して完了したタスクがここに集計されます</p></div>';
             return;
-        } else {
-            this.elements.emptyStateActive.style.display = 'none';
         }
 
-        groups.forEach(group => {
-            const card = document.createElement('div');
-            card.className = 'card';
-            const dateStr = new Date(group.createdAt).toLocaleDateString();
+        const itemList = (entries, runs) => (entries.length > 0
+            ? entries.map(e => `<li><span>${this.escapeHtml(e.text)}</span><span class="analytics-count">${e.count}回${runs ? ` / ${runs}回中` : ''}</span></li>`).join('')
+            : '<li class="analytics-none">なし</li>');
 
-            let contentHtml = `
+        stats.forEach(({ tpl, analytics }) => {
+            const card = document.createElement('div');
+            card.className = 'card analytics-card';
+            const streakLabel = tpl.schedule ? '連続達成 (回)' : '連続達成 (日)';
+            card.innerHTML = `
                 <div class="card-header">
-                    <div>
-                        <div class="card-title">${this.escapeHtml(group.title)}</div>
-                        <div class="card-meta">${dateStr}</div>
+                    <div class="card-title">${this.escapeHtml(tpl.title)}</div>
+                </div>
+                <div class="analytics-stats">
+                    <div class="analytics-stat">
+                        <span class="analytics-value">${analytics.runs}</span>
+                        <span class="analytics-label">実行回数 (完了 ${analytics.completedRuns})</span>
                     </div>
-                    <div class="card-actions">
-                        <button class="icon-btn danger btn-delete-group">
-                            <i class="fas fa-trash"></i>
-                        </button>
+                    <div class="analytics-stat">
+                        <span class="analytics-value">${this.formatDuration(analytics.averageDuration)}</span>
+                        <span class="analytics-label">平均所要時間</span>
+                    </div>
+                    <div class="analytics-stat">
+                        <span class="analytics-value">${analytics.currentStreak}</span>
+                        <span class="analytics-label">${streakLabel} 最長 ${analytics.longestStreak}</span>
                     </div>
                 </div>
-                <div class="group-sections">
-                    <!-- Sections injected here -->
-                </div>
+                <div class="preview-section-title">最後に残りがちな項目</div>
+                <ul class="analytics-list">${itemList(analytics.lastItems, analytics.runs)}</ul>
+                <div class="preview-section-title">チェックを外してやり直した項目</div>
+                <ul class="analytics-list">${itemList(analytics.reopenedItems, null)}</ul>
             `;
-            card.innerHTML = contentHtml;
-            card.querySelector('.btn-delete-group').addEventListener('click', () => this.deleteGroup(group.id));
             container.appendChild(card);
+        });
+    }
 
-            const contentEl = card.querySelector('.group-sections');
+    formatDuration(ms) {
+        if (ms === null) return '—';
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 1) return '1分未満';
+        if (minutes < 60) return `${minutes}分`;
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours}時間${minutes % 60 ? `${minutes % 60}分` : ''}`;
+        return `${Math.floor(hours / 24)}日${hours % 24 ? `${hours % 24}時間` : ''}`;
+    }
 
-            // Render Sections
-            const sections = group.sections || [];
-            // Migration fallback
-            if (sections.length === 0 && group.items && group.items.length > 0) {
-                this.renderSection(group.id, { id: 'legacy', title: 'タスク', items: group.items }, contentEl);
-            } else {
-                sections.forEach(section => {
-                    this.renderSection(group.id, section, contentEl);
-                });
-            }
+    // --- Archive Management ---
+
+    toggleArchiveExpanded(groupId) {
+        if (this.expandedArchiveIds.has(groupId)) {
+            this.expandedArchiveIds.delete(groupId);
+        } else {
+            this.expandedArchiveIds.add(groupId);
+        }
+        this.renderArchives();
+    }
+
+    toggleArchiveSelection(groupId, selected) {
+        if (selected) {
+            this.selectedArchiveIds.add(groupId);
+        } else {
+            this.selectedArchiveIds.delete(groupId);
+        }
+        this.renderArchives();
+    }
+
+    selectAllArchives(selected) {
+        this.selectedArchiveIds.clear();
+        if (selected) this.filterEntities(this.store.getGroups('archived'), 'archived').forEach(g => this.selectedArchiveIds.add(g.id));
+        this.renderArchives();
+    }
+
+    updateArchiveToolbar(total) {
+        const count = this.selectedArchiveIds.size;
+        this.elements.archiveSelectAll.checked = total > 0 && count === total;
+        this.elements.archiveSelectAll.disabled = total === 0;
+        this.elements.archiveSelectedCount.innerText = count > 0 ? `${count}件選択中` : '';
+        this.elements.btnArchiveExport.disabled = count === 0;
+        this.elements.btnArchiveDelete.disabled = count === 0;
+    }
+
+    deleteSelectedArchives() {
+        const ids = [...this.selectedArchiveIds];
+        if (ids.length === 0 || !confirm(`${ids.length}件のアーカイブを削除してもよろしいですか？`)) return;
+        this.selectedArchiveIds.clear();
+        this.history.run('アーカイブを削除', () => this.store.deleteGroups(ids));
+        this.showUndoToast(`${ids.length}件のアーカイブを削除しました`);
+    }
+
+    exportSelectedArchives() {
+        const ids = [...this.selectedArchiveIds];
+        if (ids.length === 0) return;
+        const doc = this.store.exportData({ templateIds: [], groupIds: ids });
+        const dateStr = new Date().toISOString().slice(0, 10);
+        this.downloadFile(`todo-archive-${dateStr}.json`, JSON.stringify(doc, null, 2), 'application/json');
+    }
+
+    rerunGroup(groupId) {
+        const group = this.history.run('もう一度実行', () => this.store.rerunGroup(groupId));
+        if (group) this.switchTab('active');
+    }
+
+    openRetentionModal() {
+        const { maxPerTemplate, maxAgeDays } = this.store.getSettings().retention;
+        this.elements.retentionMaxPerTemplate.value = maxPerTemplate || '';
+        this.elements.retentionMaxAgeDays.value = maxAgeDays || '';
+        this.elements.retentionModal.classList.remove('hidden');
+    }
+
+    saveRetention() {
+        const parse = input => {
+            const value = parseInt(input.value, 10);
+            return value > 0 ? value : null;
+        };
+        const retention = {
+            maxPerTemplate: parse(this.elements.retentionMaxPerTemplate),
+            maxAgeDays: parse(this.elements.retentionMaxAgeDays)
+        };
+        const before = this.store.getGroups('archived').length;
+        this.history.run('保持設定', () => this.store.updateSettings({ retention }));
+        const removed = before - this.store.getGroups('archived').length;
+        this.elements.retentionModal.classList.add('hidden');
+        if (removed > 0) this.showUndoToast(`${removed}件の古いアーカイブを削除しました`);
+    }
+
+    startFromTemplate(tplId) {
+        const variables = this.store.getTemplateVariables(tplId);
+        const tags = this.store.getTemplateTags(tplId);
+        if (variables.length > 0 || tags.length > 0) {
+            this.openVariablesModal(tplId, variables, tags);
+            return;
+        }
+        const group = this.history.run('テンプレートから開始', () => this.store.createGroupFromTemplate(tplId));
+        if (group) {
+            this.switchTab('active');
+        }
+    }
+
+    // --- Recurring Schedules ---
+
+    describeSchedule(schedule) {
+        const weekdayNames = ['日', '月', '火', '水', '木', '金', '土'];
+        switch (schedule.type) {
+            case 'daily':
+                return '毎日';
+            case 'weekly':
+                return `毎週 ${schedule.weekdays.map(d => weekdayNames[d]).join('・')}`;
+            case 'monthly':
+                return `毎月 ${schedule.dayOfMonth}日`;
+            case 'interval':
+                return `${schedule.intervalDays}日ごと`;
+            default:
+                return '';
+        }
+    }
+
+    openScheduleModal(tplId) {
+        const template = this.store.getTemplates().find(t => t.id === tplId);
+        if (!template) return;
+        const schedule = template.schedule || {};
+        const today = new Date();
+
+        this.currentScheduleTemplateId = tplId;
+        this.elements.scheduleType.value = schedule.type || '';
+        this.elements.scheduleWeekdays.forEach(cb => {
+            cb.checked = (schedule.weekdays || [today.getDay()]).includes(Number(cb.value));
         });
+        this.elements.scheduleDayOfMonth.value = schedule.dayOfMonth || today.getDate();
+        this.elements.scheduleIntervalDays.value = schedule.intervalDays || 2;
+        this.elements.scheduleStartDate.value = schedule.startDate || this.store.toDateKey(today);
+        this.elements.schedulePrevious.value = schedule.previousInstance || 'keep';
+        this.updateScheduleFields();
+        this.elements.scheduleModal.classList.remove('hidden');
     }
 
-    renderSection(groupId, section, container) {
-        if (!section.items) return;
+    updateScheduleFields() {
+        const type = this.elements.scheduleType.value;
+        this.elements.scheduleModal.querySelectorAll('[data-schedule-field]').forEach(field => {
+            const types = field.dataset.scheduleField.split(' ');
+            field.style.display = types.includes(type) ? '' : 'none';
+        });
+    }
 
-        const sectionEl = document.createElement('div');
-        sectionEl.className = 'group-section';
-        sectionEl.innerHTML = `
-            <div class="group-section-title">${this.escapeHtml(section.title)}</div>
-            <ul class="mini-todo-list"></ul>
-        `;
-        const listEl = sectionEl.querySelector('ul');
+    saveSchedule() {
+        const type = this.elements.scheduleType.value;
+        let schedule = null;
+        if (type) {
+            schedule = {
+                type,
+                weekdays: Array.from(this.elements.scheduleWeekdays).filter(cb => cb.checked).map(cb => Number(cb.value)),
+                dayOfMonth: Math.min(31, Math.max(1, parseInt(this.elements.scheduleDayOfMonth.value, 10) || 1)),
+                intervalDays: Math.max(1, parseInt(this.elements.scheduleIntervalDays.value, 10) || 1),
+                startDate: this.elements.scheduleStartDate.value,
+                previousInstance: this.elements.schedulePrevious.value
+            };
+            if (type === 'weekly' && schedule.weekdays.length === 0) {
+                alert('曜日を1つ以上選択してください');
+                return;
+            }
+            if (!schedule.startDate) {
+                alert('開始日を入力してください');
+                return;
+            }
+        }
 
-        section.items.forEach(item => {
-            const li = document.createElement('li');
-            li.className = `mini-todo-item ${item.completed ? 'completed' : ''}`;
-            li.innerHTML = `
-                <div class="mini-check">
-                    <i class="fas fa-check"></i>
+        const templateId = this.currentScheduleTemplateId;
+        this.history.run('繰り返し設定', () => this.store.setTemplateSchedule(templateId, schedule));
+        this.currentScheduleTemplateId = null;
+        this.elements.scheduleModal.classList.add('hidden');
+        this.store.runDueSchedules();
+    }
+
+    // Asks for placeholder values and which condition tags apply to this run
+    openVariablesModal(tplId, variables, tags = []) {
+        const builtins = this.store.getBuiltinVariables();
+        const container = this.elements.variablesForm;
+        container.innerHTML = '';
+        if (tags.length > 0) {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+            group.innerHTML = `
+                <label>今回の条件</label>
+                <div class="tag-options">
+                    ${tags.map(tag => `
+                        <label class="tag-option">
+                            <input type="checkbox" data-tag="${this.escapeHtml(tag)}"> ${this.escapeHtml(tag)}
+                        </label>
+                    `).join('')}
                 </div>
-                <span class="mini-text">${this.escapeHtml(item.text)}</span>
+                <p class="form-hint">チェックした条件の大タスク・小タスクだけが追加されます</p>
+            `;
+            container.appendChild(group);
+        }
+        variables.forEach(name => {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+            group.innerHTML = `
+                <label>${this.escapeHtml(name)}</label>
+                <input type="text" autocomplete="off" data-variable="${this.escapeHtml(name)}"
+                    value="${this.escapeHtml(builtins[name] || '')}">
             `;
-            li.querySelector('.mini-check').addEventListener('click', () => this.toggleItem(groupId, item.id));
-            listEl.appendChild(li);
+            container.appendChild(group);
         });
 
-        container.appendChild(sectionEl);
+        this.pendingStartTemplateId = tplId;
+        this.elements.variablesModal.classList.remove('hidden');
+        const firstInput = container.querySelector('input[type="text"]') || container.querySelector('input');
+        if (firstInput) firstInput.focus();
     }
 
+    submitVariables() {
+        const values = {};
+        this.elements.variablesForm.querySelectorAll('input[data-variable]').forEach(input => {
+            values[input.dataset.variable] = input.value.trim();
+        });
+        const tags = Array.from(this.elements.variablesForm.querySelectorAll('input[data-tag]:checked'))
+            .map(input => input.dataset.tag);
+        const templateId = this.pendingStartTemplateId;
+        const group = this.history.run('テンプレートから開始', () => this.store.createGroupFromTemplate(templateId, values, tags));
+        this.pendingStartTemplateId = null;
+        this.elements.variablesModal.classList.add('hidden');
+        if (group) {
+            this.switchTab('active');
+        }
+    }
 
+    deleteTemplate(id) {
+        const includers = this.store.getTemplatesIncluding(id);
+        const warning = includers.length > 0
+            ? `\n「${includers.map(t => t.title).join('」「')}」に挿入されている内容もなくなります。`
+            : '';
+        if (confirm(`このテンプレートを削除してもよろしいですか？${warning}`)) {
+            this.history.run('テンプレートを削除', () => this.store.deleteTemplate(id));
+            this.showUndoToast('テンプレートを削除しました');
+        }
+    }
 
-    renderTemplates() {
-        const templates = this.store.getTemplates();
-        const container = this.elements.templatesContainer;
+    deleteGroup(id) {
+        if (confirm('削除してもよろしいですか？')) {
+            this.history.run('グループを削除', () => this.store.deleteGroup(id));
+            this.showUndoToast('グループを削除しました');
+        }
+    }
+
+    unarchiveGroup(id) {
+        this.history.run('アーカイブから戻す', () => this.store.unarchiveGroup(id));
+    }
+
+    toggleItem(groupId, todoId) {
+        this.history.run('チェックを切り替え', () => this.store.toggleTodoCompletion(groupId, todoId));
+        this.handleCompletionChange(groupId);
+    }
+
+    stepItem(groupId, todoId, delta) {
+        this.history.run('数量を更新', () => this.store.stepItemCount(groupId, todoId, delta));
+        this.handleCompletionChange(groupId);
+    }
+
+    handleCompletionChange(groupId) {
+        if (this.store.checkAllCompleted(groupId)) {
+            this.triggerAutoArchive(groupId);
+        } else if (this.pendingArchives.has(groupId)) {
+            // User unchecked an item while auto-archive was pending — cancel it
+            this.cancelAutoArchive(groupId);
+        }
+    }
+
+    // --- Auto-Archive ---
+
+    /**
+     * Queues a finished group for archiving after its template's (or the
+     * global) delay. The card shows it is pending, with its own cancel
+     * button; the rest of the app stays usable meanwhile.
+     */
+    triggerAutoArchive(groupId) {
+        const group = this.store.getGroups('active').find(g => g.id === groupId);
+        const settings = this.store.getAutoArchiveSettings(group);
+        if (!group || !settings.enabled || this.pendingArchives.has(groupId)) return;
+        const delay = settings.delaySeconds * 1000;
+        const timer = setTimeout(() => this.processPendingArchive(groupId), delay);
+        this.pendingArchives.set(groupId, { timer, archiveAt: Date.now() + delay });
+        this.render();
+    }
+
+    processPendingArchive(groupId) {
+        this.pendingArchives.delete(groupId);
+        // Re-check completion state in case user unchecked items during the delay
+        const group = this.store.getGroups('active').find(g => g.id === groupId);
+        if (group && this.store.checkAllCompleted(groupId)
+            && (!this.store.getAutoArchiveSettings(group).confirm
+                || confirm(`「${group.title}」はすべて完了しました。アーカイブしますか？`))) {
+            this.history.run('アーカイブ', () => this.store.archiveGroup(groupId));
+            this.showUndoToast('アーカイブに移動しました');
+        } else {
+            this.render();
+        }
+    }
+
+    // Cancels one pending auto-archive, or all of them without a groupId
+    cancelAutoArchive(groupId = null) {
+        const ids = groupId ? [groupId] : [...this.pendingArchives.keys()];
+        const pending = ids.filter(id => this.pendingArchives.has(id));
+        pending.forEach(id => {
+            clearTimeout(this.pendingArchives.get(id).timer);
+            this.pendingArchives.delete(id);
+        });
+        if (pending.length > 0) this.render();
+    }
+
+    // Drops pending auto-archives whose group is no longer finished (undo, another tab, ...)
+    cancelStaleAutoArchives() {
+        [...this.pendingArchives.keys()]
+            .filter(groupId => !this.store.checkAllCompleted(groupId))
+            .forEach(groupId => this.cancelAutoArchive(groupId));
+    }
+
+    archiveGroup(groupId) {
+        if (!this.store.checkAllCompleted(groupId) && !confirm('未完了のタスクがあります。アーカイブしてもよろしいですか？')) return;
+        this.cancelAutoArchive(groupId);
+        this.history.run('アーカイブ', () => this.store.archiveGroup(groupId));
+        this.showUndoToast('アーカイブに移動しました');
+    }
+
+    // Global settings without a template id
+    openAutoArchiveModal(tplId = null) {
+        const template = tplId ? this.store.getTemplates().find(t => t.id === tplId) : null;
+        const settings = template && template.autoArchive ? template.autoArchive : this.store.getSettings().autoArchive;
+        this.currentAutoArchiveTemplateId = template ? template.id : null;
+        this.elements.autoArchiveModalTitle.textContent = template ? `完了時の動作: ${template.title}` : '完了時の動作 (全体)';
+        this.elements.autoArchiveUseGlobalRow.style.display = template ? '' : 'none';
+        this.elements.autoArchiveUseGlobal.checked = !!template && !template.autoArchive;
+        this.elements.autoArchiveEnabled.checked = settings.enabled;
+        this.elements.autoArchiveDelay.value = settings.delaySeconds;
+        this.elements.autoArchiveConfirm.checked = settings.confirm;
+        this.updateAutoArchiveFields();
+        this.elements.autoArchiveModal.classList.remove('hidden');
+    }
+
+    updateAutoArchiveFields() {
+        const inherit = !!this.currentAutoArchiveTemplateId && this.elements.autoArchiveUseGlobal.checked;
+        this.elements.autoArchiveEnabled.disabled = inherit;
+        this.elements.autoArchiveDelay.disabled = inherit || !this.elements.autoArchiveEnabled.checked;
+        this.elements.autoArchiveConfirm.disabled = inherit || !this.elements.autoArchiveEnabled.checked;
+    }
+
+    saveAutoArchive() {
+        const autoArchive = {
+            enabled: this.elements.autoArchiveEnabled.checked,
+            delaySeconds: Math.max(0, parseInt(this.elements.autoArchiveDelay.value, 10) || 0),
+            confirm: this.elements.autoArchiveConfirm.checked
+        };
+        const templateId = this.currentAutoArchiveTemplateId;
+        if (templateId) {
+            const useGlobal = this.elements.autoArchiveUseGlobal.checked;
+            this.history.run('完了時の動作', () => this.store.setTemplateAutoArchive(templateId, useGlobal ? null : autoArchive));
+        } else {
+            this.history.run('完了時の動作', () => this.store.updateSettings({ autoArchive }));
+        }
+        this.currentAutoArchiveTemplateId = null;
+        this.elements.autoArchiveModal.classList.add('hidden');
+    }
+
+    // --- Webhooks ---
+
+    getEventLabel(type) {
+        return {
+            itemToggled: 'チェックの切り替え',
+            groupCreated: 'グループの開始',
+            groupCompleted: 'グループの完了',
+            groupArchived: 'アーカイブ',
+            groupUnarchived: 'アーカイブから戻す',
+            groupDeleted: 'グループの削除',
+            templateSaved: 'テンプレートの保存',
+            templateDeleted: 'テンプレートの削除',
+            test: 'テスト送信'
+        }[type] || type;
+    }
+
+    // A checkbox per store event type, with the `selected` ones checked
+    renderWebhookEventOptions(selected = []) {
+        return this.store.EVENT_TYPES.map(type => `
+            <label class="checkbox-row">
+                <input type="checkbox" value="${type}" ${selected.includes(type) ? 'checked' : ''}> ${this.getEventLabel(type)}
+            </label>
+        `).join('');
+    }
+
+    checkedEvents(container) {
+        return [...container.querySelectorAll('input[type="checkbox"]:checked')].map(input => input.value);
+    }
+
+    renderSettings() {
+        this.renderWebhooks();
+        this.renderWebhookLog();
+    }
+
+    renderWebhooks() {
+        const container = this.elements.webhookList;
         container.innerHTML = '';
+        const hooks = this.store.getWebhooks();
+        if (hooks.length === 0) {
+            container.innerHTML = '<p class="webhook-none">登録されたWebhookはありません</p>';
+            return;
+        }
+
+        hooks.forEach(hook => {
+            const row = document.createElement('div');
+            row.className = `webhook-row ${hook.enabled ? '' : 'disabled'}`;
+            row.dataset.webhookId = hook.id;
+            row.innerHTML = `
+                <div class="webhook-row-header">
+                    <input type="checkbox" class="webhook-enabled" title="有効" ${hook.enabled ? 'checked' : ''}>
+                    <span class="webhook-url">${this.escapeHtml(hook.url)}</span>
+                    <button class="icon-btn btn-test-webhook" title="テスト送信"><i class="fas fa-paper-plane"></i></button>
+                    <button class="icon-btn danger btn-delete-webhook" title="削除"><i class="fas fa-trash"></i></button>
+                </div>
+                <div class="webhook-events">${this.renderWebhookEventOptions(hook.events)}</div>
+            `;
+            const events = row.querySelector('.webhook-events');
+            row.querySelector('.webhook-enabled').addEventListener('change', (e) => this.store.updateWebhook(hook.id, { enabled: e.target.checked }));
+            events.addEventListener('change', () => this.store.updateWebhook(hook.id, { events: this.checkedEvents(events) }));
+            row.querySelector('.btn-test-webhook').addEventListener('click', () => this.webhooks.sendTest(hook.id));
+            row.querySelector('.btn-delete-webhook').addEventListener('click', () => this.deleteWebhook(hook.id));
+            container.appendChild(row);
+        });
+    }
+
+    addWebhook() {
+        const url = this.elements.webhookUrl.value.trim();
+        const events = this.checkedEvents(this.elements.webhookEvents);
+        if (!this.store.isWebhookUrl(url)) {
+            alert('http:// または https:// で始まるURLを入力してください');
+            return;
+        }
+        if (events.length === 0) {
+            alert('送信するイベントを1つ以上選んでください');
+            return;
+        }
+        this.store.addWebhook(url, events);
+        this.elements.webhookUrl.value = '';
+        this.elements.webhookEvents.querySelectorAll('input').forEach(input => { input.checked = false; });
+    }
 
-        templates.forEach(tpl => {
-            const card = document.createElement('div');
-            card.className = 'card template-card';
+    deleteWebhook(webhookId) {
+        if (confirm('このWebhookを削除してもよろしいですか？')) this.store.deleteWebhook(webhookId);
+    }
 
-            // Preview: Show first 2 sections and their first 2 items
-            let previewHtml = '';
-            const sections = tpl.sections || [];
+    renderWebhookLog() {
+        const list = this.elements.webhookLog;
+        const log = this.webhooks.log;
+        const statusLabels = { sending: '送信中', retrying: '再送待ち', success: '成功', failed: '失敗' };
+        list.innerHTML = '';
+        this.elements.btnClearWebhookLog.disabled = log.length === 0;
+        if (log.length === 0) {
+            list.innerHTML = '<li class="webhook-none">まだ送信していません</li>';
+            return;
+        }
 
-            // Legacy support
-            if (sections.length === 0 && tpl.items && tpl.items.length > 0) {
-                previewHtml = tpl.items.slice(0, 3).map(i => `• ${this.escapeHtml(i.text)}`).join('<br>');
-            } else {
-                sections.slice(0, 2).forEach(sec => {
-                    previewHtml += `<div class="preview-section-title">${this.escapeHtml(sec.title)}</div>`;
-                    sec.items.slice(0, 2).forEach(i => {
-                        previewHtml += `<div class="preview-item">• ${this.escapeHtml(i.text)}</div>`;
-                    });
-                });
+        log.forEach(entry => {
+            const li = document.createElement('li');
+            li.className = `webhook-log-entry status-${entry.status}`;
+            const details = [this.escapeHtml(entry.url), `${entry.attempts}回試行`];
+            if (entry.error) {
+                details.push(this.escapeHtml(entry.error));
+            } else if (entry.responseStatus) {
+                details.push(`HTTP ${entry.responseStatus}`);
             }
-
-            card.innerHTML = `
-                <div class="card-header">
-                    <div class="card-title">${this.escapeHtml(tpl.title)}</div>
-                    <div class="card-actions">
-                        <button class="icon-btn btn-duplicate-tpl" title="複製">
-                           <i class="fas fa-copy"></i>
-                        </button>
-                        <button class="icon-btn btn-edit-tpl" title="編集">
-                           <i class="fas fa-pen"></i>
-                        </button>
-                        <button class="icon-btn danger btn-delete-tpl" title="削除">
-                           <i class="fas fa-trash"></i>
-                        </button>
-                    </div>
+            if (entry.nextRetryAt) details.push(`${new Date(entry.nextRetryAt).toLocaleTimeString('ja-JP')} に再送`);
+            const canRetry = entry.status === 'failed' || entry.status === 'retrying';
+            li.innerHTML = `
+                <div class="webhook-log-main">
+                    <span class="card-badge webhook-status">${statusLabels[entry.status]}</span>
+                    <span class="webhook-log-event">${this.escapeHtml(this.getEventLabel(entry.type))}</span>
+                    <span class="webhook-log-date">${new Date(entry.createdAt).toLocaleString('ja-JP')}</span>
+                    ${canRetry ? '<button class="text-btn btn-retry-webhook">今すぐ再送</button>' : ''}
                 </div>
-                <div class="template-items-preview">${previewHtml}</div>
-                <button class="btn-start-group">
-                    <i class="fas fa-play"></i> このテンプレートで開始
-                </button>
+                <div class="webhook-log-details">${details.join(' ・ ')}</div>
             `;
-            card.querySelector('.btn-duplicate-tpl').addEventListener('click', () => this.duplicateTemplate(tpl.id));
-            card.querySelector('.btn-edit-tpl').addEventListener('click', () => this.editTemplate(tpl.id));
-            card.querySelector('.btn-delete-tpl').addEventListener('click', () => this.deleteTemplate(tpl.id));
-            card.querySelector('.btn-start-group').addEventListener('click', () => this.startFromTemplate(tpl.id));
-            container.appendChild(card);
+            if (canRetry) li.querySelector('.btn-retry-webhook').addEventListener('click', () => this.webhooks.retry(entry.id));
+            list.appendChild(li);
         });
     }
 
-    duplicateTemplate(id) {
-        if (confirm('このテンプレートを複製しますか？')) {
-            const newTemplate = this.store.duplicateTemplate(id);
-            if (newTemplate) {
-                // Open modal to edit the new template immediately
-                this.editTemplate(newTemplate.id);
-                // Also switch tab just in case, though modal covers it
-                this.renderTemplates();
-            }
-        }
-    }
+    // --- Undo / Redo ---
 
-    closeModal() {
-        this.elements.modal.classList.add('hidden');
-        this.currentEditId = null;
-        this.elements.tplTitleInput.value = '';
-        this.elements.tplSectionsContainer.innerHTML = '';
+    undo() {
+        const command = this.history.undo();
+        if (command) this.afterHistoryChange(`「${command.label}」を取り消しました`, true);
     }
 
-    openModal(template = null) {
-        this.elements.modal.classList.remove('hidden');
-        this.elements.tplTitleInput.value = '';
-        this.elements.tplSectionsContainer.innerHTML = '';
+    redo() {
+        const command = this.history.redo();
+        if (command) this.afterHistoryChange(`「${command.label}」をやり直しました`, false);
+    }
 
-        if (template) {
-            this.currentEditId = template.id;
-            this.elements.tplTitleInput.value = template.title;
-            const header = document.querySelector('#template-modal h3');
-            if (header) header.innerText = 'テンプレート編集';
+    afterHistoryChange(message, offerRedo) {
+        // An undone toggle may leave a pending auto-archive with an unfinished group
+        this.cancelStaleAutoArchives();
+        this.showToast(message, offerRedo ? 'やり直す' : '元に戻す', () => (offerRedo ? this.redo() : this.undo()));
+    }
 
-            // Load Sections
-            const sections = template.sections || [];
-            // Legacy
-            if (sections.length === 0 && template.items && template.items.length > 0) {
-                this.addTemplateSection('一般', template.items.map(i => i.text));
-            } else {
-                sections.forEach(sec => {
-                    this.addTemplateSection(sec.title, sec.items.map(i => i.text));
-                });
-            }
+    showPersistError(error) {
+        if (this.store.isQuotaExceeded(error)) {
+            this.showToast('保存容量の上限に達したため保存できませんでした。不要なアーカイブを削除するか、データをエクスポートしてください。',
+                'エクスポート', () => this.openExportModal());
         } else {
-            this.currentEditId = null;
-            this.elements.tplTitleInput.value = '';
-            const header = document.querySelector('#template-modal h3');
-            if (header) header.innerText = '新規テンプレート作成';
-
-            // Add one default section
-            this.addTemplateSection('');
+            this.showToast('データを保存できませんでした');
         }
     }
 
-    addTemplateSection(title = '', items = []) {
-        const sectionId = crypto.randomUUID();
-        const div = document.createElement('div');
-        div.className = 'tpl-section';
-        div.dataset.sectionId = sectionId;
+    showUndoToast(message) {
+        this.showToast(message, '元に戻す', () => this.undo());
+    }
 
-        div.innerHTML = `
-            <div class="tpl-section-header">
-                <div class="section-controls">
-                    <button class="icon-btn move-up-btn" title="上に移動"><i class="fas fa-chevron-up"></i></button>
-                    <button class="icon-btn move-down-btn" title="下に移動"><i class="fas fa-chevron-down"></i></button>
-                </div>
-                <input type="text" class="tpl-section-title-input" placeholder="大タスク名 (例: 持ち物)" value="${this.escapeHtml(title)}">
-                <button class="icon-btn danger remove-section-btn"><i class="fas fa-trash"></i></button>
-            </div>
-            <div class="tpl-section-items"></div>
-            <div class="tpl-section-footer">
-                <button class="btn-add-item-to-section text-btn"><i class="fas fa-plus"></i> 小タスク追加</button>
-            </div>
-        `;
+    showToast(message, actionLabel = null, onAction = null) {
+        const toast = this.elements.toast;
+        this.elements.toastMessage.innerText = message;
+        this.elements.toastAction.style.display = actionLabel ? '' : 'none';
+        if (actionLabel) this.elements.toastAction.innerText = actionLabel;
+        this._toastAction = onAction;
+        toast.classList.remove('hidden');
 
-        // Bind Events
-        div.querySelector('.remove-section-btn').addEventListener('click', () => {
-            if (confirm('このグループを削除しますか？')) div.remove();
-        });
-        div.querySelector('.move-up-btn').addEventListener('click', () => this.moveNode(div, 'up'));
-        div.querySelector('.move-down-btn').addEventListener('click', () => this.moveNode(div, 'down'));
+        clearTimeout(this._toastTimer);
+        this._toastTimer = setTimeout(() => this.hideToast(), 5000);
+    }
 
-        const itemsContainer = div.querySelector('.tpl-section-items');
-        div.querySelector('.btn-add-item-to-section').addEventListener('click', () => {
-            this.addTemplateItemToSection(itemsContainer, '');
-        });
+    hideToast() {
+        clearTimeout(this._toastTimer);
+        this._toastAction = null;
+        this.elements.toast.classList.add('hidden');
+    }
 
-        this.elements.tplSectionsContainer.appendChild(div);
+    handleHistoryShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const key = e.key.toLowerCase();
+        if (key !== 'z' && key !== 'y') return;
 
-        // Add initial items if provided
-        items.forEach(text => {
-            this.addTemplateItemToSection(itemsContainer, text);
-        });
+        // Leave native text undo alone while typing
+        const target = e.target;
+        if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
 
-        // If new section (no title, no items), add one blank item
-        if (!title && items.length === 0) {
-            this.addTemplateItemToSection(itemsContainer, '');
+        e.preventDefault();
+        if (key === 'y' || e.shiftKey) {
+            this.redo();
+        } else {
+            this.undo();
         }
     }
 
-    addTemplateItemToSection(container, text = '') {
-        const div = document.createElement('div');
-        div.className = 'tpl-item-row';
-        div.innerHTML = `
-            <div class="item-controls">
-                 <i class="fas fa-chevron-up move-item-up"></i>
-                 <i class="fas fa-chevron-down move-item-down"></i>
-            </div>
-            <i class="fas fa-dot-circle tpl-item-bullet"></i>
-            <span contenteditable="true" class="editable-span">${this.escapeHtml(text)}</span>
-            <i class="fas fa-times remove-item-btn"></i>
-        `;
-        div.querySelector('.remove-item-btn').addEventListener('click', () => {
-            // If this is the last item and empty, maybe warn? No, just remove.
-            div.remove();
-        });
-        div.querySelector('.move-item-up').addEventListener('click', () => this.moveNode(div, 'up'));
-        div.querySelector('.move-item-down').addEventListener('click', () => this.moveNode(div, 'down'));
+    // --- Save Group as Template ---
 
-        container.appendChild(div);
+    openSaveAsTemplateModal(groupId) {
+        const group = this.store.getGroups().find(g => g.id === groupId);
+        if (!group) return;
+        const source = this.store.getTemplates().find(t => t.id === group.templateId);
+
+        this.currentSaveGroupId = groupId;
+        this.elements.saveTplTitle.value = group.title;
+        this.elements.saveTplDropUnchecked.checked = false;
+        this.elements.saveTplTargetNew.checked = true;
+        this.elements.saveTplTargetSource.disabled = !source;
+        this.elements.saveTplSourceLabel.innerText = source
+            ? `元のテンプレート「${source.title}」を更新`
+            : '元のテンプレートを更新 (テンプレートから開始したものではありません)';
+        this.updateSaveAsTemplateFields();
+        this.elements.saveTemplateModal.classList.remove('hidden');
+        this.elements.saveTplTitle.focus();
     }
 
-    moveNode(node, direction) {
-        if (direction === 'up') {
-            const prev = node.previousElementSibling;
-            if (prev) node.parentNode.insertBefore(node, prev);
-        } else {
-            const next = node.nextElementSibling;
-            if (next) node.parentNode.insertBefore(next, node);
-        }
+    updateSaveAsTemplateFields() {
+        this.elements.saveTplTitle.disabled = this.elements.saveTplTargetSource.checked;
     }
 
-    saveTemplate() {
-        const title = this.elements.tplTitleInput.value.trim();
-        if (!title) {
+    saveGroupAsTemplate() {
+        const groupId = this.currentSaveGroupId;
+        if (!groupId) return;
+        const updateSource = this.elements.saveTplTargetSource.checked;
+        const title = this.elements.saveTplTitle.value.trim();
+        if (!updateSource && !title) {
             alert('テンプレート名を入力してください');
             return;
         }
 
-        const sectionsData = [];
-        const sectionEls = this.elements.tplSectionsContainer.querySelectorAll('.tpl-section');
+        const template = this.history.run(updateSource ? 'テンプレートを更新' : 'テンプレートとして保存', () => this.store.saveGroupAsTemplate(groupId, {
+            title,
+            updateSource,
+            dropUnchecked: this.elements.saveTplDropUnchecked.checked
+        }));
+        if (!template) {
+            alert('保存するタスクがありません');
+            return;
+        }
+        this.elements.saveTemplateModal.classList.add('hidden');
+        this.currentSaveGroupId = null;
+        this.showToast(updateSource ? 'テンプレートを更新しました' : 'テンプレートとして保存しました', '表示', () => this.switchTab('templates'));
+    }
 
-        sectionEls.forEach(secEl => {
-            const secTitle = secEl.querySelector('.tpl-section-title-input').value.trim() || '名称未設定';
-            const items = [];
-            secEl.querySelectorAll('.editable-span').forEach(span => {
-                const val = span.innerText.trim();
-                // Allow saving empty items if user wants, or filter?
-                // Filtering empty items is usually good UX.
-                if (val) items.push(val);
+    // --- Template Revisions ---
+
+    openRevisionsModal(templateId) {
+        const revisions = this.store.getTemplateRevisions(templateId);
+        this.currentRevisionsTemplateId = templateId;
+        const container = this.elements.revisionsList;
+        container.innerHTML = '';
+
+        if (revisions.length === 0) {
+            container.innerHTML = '<p class="recovery-empty">まだ履歴はありません。編集して保存すると記録されます。</p>';
+        }
+
+        const describe = change => {
+            const section = change.section ? `<span class="select-row-kind">${this.escapeHtml(change.section)}</span>` : '';
+            const kind = { title: 'テンプレート名', section: 'グループ', item: '' }[change.kind];
+            const prefix = kind ? `${kind}: ` : '';
+            if (change.type === 'renamed') {
+                return `<li class="revision-change renamed"><i class="fas fa-pen"></i> ${prefix}${this.escapeHtml(change.from)} → ${this.escapeHtml(change.to)} ${section}</li>`;
+            }
+            const icon = change.type === 'added' ? 'fa-plus' : 'fa-minus';
+            return `<li class="revision-change ${change.type}"><i class="fas ${icon}"></i> ${prefix}${this.escapeHtml(change.text)} ${section}</li>`;
+        };
+
+        // Newest first; each revision lists what changed since the one before it
+        revisions.map((rev, i) => ({ rev, prev: revisions[i - 1] || null }))
+            .reverse()
+            .forEach(({ rev, prev }, i) => {
+                const isCurrent = i === 0;
+                const changes = prev ? this.store.diffTemplateRevisions(prev, rev) : [];
+                const changesHtml = prev
+                    ? (changes.map(describe).join('') || '<li class="revision-change">変更なし</li>')
+                    : '<li class="revision-change">最初の版</li>';
+                const entry = document.createElement('div');
+                entry.className = 'revision-entry';
+                entry.innerHTML = `
+                    <div class="revision-header">
+                        <span class="revision-date">${new Date(rev.savedAt).toLocaleString('ja-JP')}</span>
+                        ${isCurrent ? '<span class="card-badge">現在</span>' : ''}
+                        <div class="revision-actions">
+                            ${isCurrent ? '' : '<button class="text-btn btn-restore-revision">この版に戻す</button>'}
+                            <button class="text-btn btn-restore-revision-new">新しいテンプレートとして復元</button>
+                        </div>
+                    </div>
+                    <ul class="revision-changes">${changesHtml}</ul>
+                `;
+                const btnRestore = entry.querySelector('.btn-restore-revision');
+                if (btnRestore) btnRestore.addEventListener('click', () => this.restoreRevision(rev.id, false));
+                entry.querySelector('.btn-restore-revision-new').addEventListener('click', () => this.restoreRevision(rev.id, true));
+                container.appendChild(entry);
             });
 
-            // FIXED: Allow section even if items are empty, as long as the intention is to create a section.
-            // But usually a section should have items. Let's allow it if title is set OR items exist.
-            // If both are empty (default new section not touched), maybe skip?
-            // User feedback: "Could not save". Probably they had a section but maybe items check failed.
-            // Let's Just push it regardless, or check if it's "worth" saving.
-            // Reverting to: always push if it exists in DOM, trusting user deletion.
-            sectionsData.push({ title: secTitle, items: items });
-        });
+        this.elements.revisionsModal.classList.remove('hidden');
+    }
 
-        if (sectionsData.length === 0) {
-            alert('少なくとも1つのセクション・タスクを追加してください');
+    restoreRevision(revisionId, asNewTemplate) {
+        const templateId = this.currentRevisionsTemplateId;
+        if (!templateId) return;
+        const message = asNewTemplate ? 'この版を新しいテンプレートとして作成しますか？' : 'テンプレートをこの版に戻しますか？';
+        if (!confirm(message)) return;
+
+        this.history.run(asNewTemplate ? 'テンプレートの版を複製' : 'テンプレートを以前の版に戻す',
+            () => this.store.restoreTemplateRevision(templateId, revisionId, asNewTemplate));
+        this.elements.revisionsModal.classList.add('hidden');
+        this.currentRevisionsTemplateId = null;
+    }
+
+    // --- Template Sync ---
+
+    openTemplateSyncModal(groupId) {
+        const changes = this.store.diffGroupWithTemplate(groupId);
+        if (changes.length === 0) {
+            // The edits don't affect this group; just clear the indicator
+            this.store.applyTemplateChanges(groupId, []);
+            this.showToast('反映が必要な変更はありません');
             return;
         }
+        this.currentSyncGroupId = groupId;
 
-        if (this.currentEditId) {
-            this.store.updateTemplate(this.currentEditId, title, sectionsData);
-        } else {
-            this.store.createTemplate(title, sectionsData);
+        const describe = change => {
+            switch (change.type) {
+                case 'renameGroup': return ['名前変更', `${change.from} → ${change.to}`];
+                case 'addSection': return ['グループ追加', change.items.length > 0 ? `${change.title} (${change.items.join('、')})` : change.title];
+                case 'renameSection': return ['グループ名変更', `${change.from} → ${change.to}`];
+                case 'addItem': return ['追加', change.text];
+                case 'renameItem': return ['変更', `${change.from} → ${change.to}`];
+                case 'removeItem': return ['削除', change.completed ? `${change.text} (完了済み)` : change.text];
+            }
+        };
+        const container = this.elements.templateSyncList;
+        container.innerHTML = '';
+        changes.forEach(change => {
+            const [label, text] = describe(change);
+            const row = document.createElement('label');
+            row.className = 'checkbox-row select-row';
+            // Dropping work the user already finished is opt-in
+            const checked = !(change.type === 'removeItem' && change.completed);
+            row.innerHTML = `
+                <input type="checkbox" ${checked ? 'checked' : ''} value="${this.escapeHtml(change.key)}">
+                <span class="select-row-kind">${label}</span>
+                <span>${this.escapeHtml(text)}</span>
+            `;
+            container.appendChild(row);
+        });
+        this.pendingTemplateChanges = changes;
+        this.elements.templateSyncModal.classList.remove('hidden');
+    }
+
+    applyTemplateSync(apply) {
+        const groupId = this.currentSyncGroupId;
+        if (!groupId) return;
+        const keys = Array.from(this.elements.templateSyncList.querySelectorAll('input[type="checkbox"]:checked')).map(cb => cb.value);
+        const changes = apply ? this.pendingTemplateChanges.filter(change => keys.includes(change.key)) : [];
+        this.history.run(apply ? 'テンプレートの変更を反映' : 'テンプレートの変更を無視', () => this.store.applyTemplateChanges(groupId, changes));
+        this.currentSyncGroupId = null;
+        this.pendingTemplateChanges = null;
+        this.elements.templateSyncModal.classList.add('hidden');
+    }
+
+    bindModalClose(modal, onClose = null) {
+        const close = () => {
+            modal.classList.add('hidden');
+            if (onClose) onClose();
+        };
+        modal.querySelectorAll('.close-modal').forEach(btn => btn.addEventListener('click', close));
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) close();
+        });
+    }
+
+    // --- Export / Import ---
+
+    openExportModal() {
+        const container = this.elements.exportList;
+        container.innerHTML = '';
+        this.elements.exportSelectAll.checked = true;
+
+        const addRow = (kind, entity, label) => {
+            const row = document.createElement('label');
+            row.className = 'checkbox-row select-row';
+            row.innerHTML = `
+                <input type="checkbox" checked data-kind="${kind}" value="${this.escapeHtml(entity.id)}">
+                <span class="select-row-kind">${label}</span>
+                <span>${this.escapeHtml(entity.title)}</span>
+            `;
+            container.appendChild(row);
+        };
+        this.store.getTemplates().forEach(tpl => addRow('template', tpl, 'テンプレート'));
+        this.store.getGroups('active').forEach(group => addRow('group', group, '進行中'));
+        this.store.getGroups('archived').forEach(group => addRow('group', group, 'アーカイブ'));
+
+        if (!container.children.length) {
+            container.innerHTML = '<p class="recovery-empty">エクスポートするデータがありません</p>';
         }
-        this.closeModal();
-        this.renderTemplates();
-        this.switchTab('templates');
+        this.elements.exportModal.classList.remove('hidden');
     }
 
-    editTemplate(id) {
-        const template = this.store.getTemplates().find(t => t.id === id);
-        if (template) {
-            this.openModal(template);
-        } else {
-            alert('Template load failed: ' + id);
+    exportSelected() {
+        const checked = Array.from(this.elements.exportList.querySelectorAll('input[type="checkbox"]:checked'));
+        if (checked.length === 0) {
+            alert('エクスポートする項目を選択してください');
+            return;
         }
+        const selection = this.elements.exportSelectAll.checked ? null : {
+            templateIds: checked.filter(cb => cb.dataset.kind === 'template').map(cb => cb.value),
+            groupIds: checked.filter(cb => cb.dataset.kind === 'group').map(cb => cb.value)
+        };
+        const doc = this.store.exportData(selection);
+        const dateStr = new Date().toISOString().slice(0, 10);
+        this.downloadFile(`todo-export-${dateStr}.json`, JSON.stringify(doc, null, 2), 'application/json');
+        this.elements.exportModal.classList.add('hidden');
     }
 
-    renderArchives() {
-        const groups = this.store.getGroups('archived');
-        const container = this.elements.archiveContainer;
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    readImportFile() {
+        const input = this.elements.importFileInput;
+        const file = input.files[0];
+        input.value = '';
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            this.pendingImport = { json: reader.result, plan: null };
+            this.elements.importKeepIds.checked = true;
+            if (this.refreshImportPreview()) {
+                this.elements.importModal.classList.remove('hidden');
+            }
+        };
+        reader.onerror = () => alert('ファイルを読み込めませんでした');
+        reader.readAsText(file);
+    }
+
+    refreshImportPreview() {
+        if (!this.pendingImport) return false;
+        let plan;
+        try {
+            plan = this.store.previewImport(this.pendingImport.json, {
+                keepIds: this.elements.importKeepIds.checked
+            });
+        } catch (e) {
+            console.error('Failed to read import file:', e);
+            alert('インポートできない形式のファイルです');
+            this.pendingImport = null;
+            return false;
+        }
+        this.pendingImport.plan = plan;
+
+        const actionLabels = { add: '追加', replace: '置換', skip: 'スキップ' };
+        const entries = [
+            ...plan.templates.map(e => ({ ...e, kind: 'テンプレート' })),
+            ...plan.groups.map(e => ({ ...e, kind: e.entity.status === 'archived' ? 'アーカイブ' : '進行中' }))
+        ];
+        const count = action => entries.filter(e => e.action === action).length;
+        let summary = `追加 ${count('add')}件 / 置換 ${count('replace')}件 / スキップ ${count('skip')}件`;
+        if (plan.dropped > 0) summary += ` (読み込めない項目 ${plan.dropped}件)`;
+        this.elements.importSummary.innerText = summary;
+
+        const container = this.elements.importPreview;
         container.innerHTML = '';
-        groups.sort((a, b) => b.updatedAt - a.updatedAt);
-        groups.forEach(group => {
-            const card = document.createElement('div');
-            card.className = 'card';
-            card.style.opacity = '0.7';
-            card.innerHTML = `
-                <div class="card-header">
-                    <div>
-                        <div class="card-title">${this.escapeHtml(group.title)}</div>
-                        <div class="card-meta">完了日: ${new Date(group.updatedAt).toLocaleDateString()}</div>
-                    </div>
-                    <div class="card-actions">
-                         <button class="icon-btn btn-unarchive" title="戻す">
-                            <i class="fas fa-undo"></i>
-                        </button>
-                        <button class="icon-btn danger btn-delete-group">
-                            <i class="fas fa-trash"></i>
-                        </button>
-                    </div>
-                </div>
+        entries.forEach(({ action, entity, kind }) => {
+            const row = document.createElement('div');
+            row.className = 'select-row';
+            row.innerHTML = `
+                <span class="import-action import-action-${action}">${actionLabels[action]}</span>
+                <span class="select-row-kind">${kind}</span>
+                <span>${this.escapeHtml(entity.title)}</span>
             `;
-            card.querySelector('.btn-unarchive').addEventListener('click', () => this.unarchiveGroup(group.id));
-            card.querySelector('.btn-delete-group').addEventListener('click', () => this.deleteGroup(group.id));
-            container.appendChild(card);
+            container.appendChild(row);
         });
+        return true;
     }
 
-    startFromTemplate(tplId) {
-        const group = this.store.createGroupFromTemplate(tplId);
-        if (group) {
-            this.switchTab('active');
-        }
+    applyImport() {
+        if (!this.pendingImport || !this.pendingImport.plan) return;
+        const plan = this.pendingImport.plan;
+        this.history.run('インポート', () => this.store.applyImport(plan));
+        this.pendingImport = null;
+        this.elements.importModal.classList.add('hidden');
     }
 
-    deleteTemplate(id) {
-        if (confirm('このテンプレートを削除してもよろしいですか？')) {
-            this.store.deleteTemplate(id);
-            this.renderTemplates();
+    openRecoveryModal() {
+        const issue = this.store.loadIssue;
+        let message = issue.type === 'corrupt'
+            ? '保存データを読み込めませんでした。'
+            : `保存データの一部が破損していたため、${issue.dropped}件の項目を読み込めませんでした。`;
+        if (issue.quarantineKey) {
+            message += `元のデータは「${issue.quarantineKey}」に退避しました。`;
+        } else {
+            message += '元のデータを退避できませんでした。続行すると元のデータは上書きされます。';
         }
-    }
+        this.elements.recoveryMessage.innerText = message;
+        this.elements.btnRecoveryContinue.innerText = issue.type === 'corrupt' ? '空の状態で開始' : '修復したデータで続行';
 
-    deleteGroup(id) {
-        if (confirm('削除してもよろしいですか？')) {
-            this.store.deleteGroup(id);
-            this.render();
+        const container = this.elements.recoverySnapshots;
+        container.innerHTML = '';
+        const snapshots = this.store.getSnapshots();
+        if (snapshots.length === 0) {
+            container.innerHTML = '<p class="recovery-empty">利用可能なスナップショットはありません</p>';
         }
+        snapshots.forEach(snap => {
+            const row = document.createElement('div');
+            row.className = 'recovery-snapshot';
+            row.innerHTML = `
+                <div>
+                    <div class="recovery-snapshot-date">${new Date(snap.createdAt).toLocaleString('ja-JP')}</div>
+                    <div class="card-meta">テンプレート ${snap.templateCount}件 / グループ ${snap.groupCount}件</div>
+                </div>
+                <button class="btn primary btn-restore-snapshot">復元</button>
+            `;
+            row.querySelector('.btn-restore-snapshot').addEventListener('click', () => this.restoreSnapshot(snap.id));
+            container.appendChild(row);
+        });
+
+        this.elements.recoveryModal.classList.remove('hidden');
     }
 
-    unarchiveGroup(id) {
-        this.store.unarchiveGroup(id);
+    closeRecoveryModal() {
+        this.elements.recoveryModal.classList.add('hidden');
         this.render();
     }
 
-    toggleItem(groupId, todoId) {
-        this.store.toggleTodoCompletion(groupId, todoId);
-        this.renderActiveGroups();
-        if (this.store.checkAllCompleted(groupId)) {
-            this.triggerAutoArchive(groupId);
-        } else if (this._autoArchiveTimer && this._autoArchiveGroupId === groupId) {
-            // User unchecked an item while auto-archive was pending — cancel it
-            clearTimeout(this._autoArchiveTimer);
-            this._autoArchiveTimer = null;
-            this._autoArchiveGroupId = null;
-            this.elements.feedbackOverlay.classList.add('hidden');
+    restoreSnapshot(snapshotId) {
+        if (this.store.restoreSnapshot(snapshotId)) {
+            // Recorded commands refer to the document that was just replaced
+            this.history.clear();
+            this.closeRecoveryModal();
+        } else {
+            alert('スナップショットを復元できませんでした');
         }
     }
 
-    triggerAutoArchive(groupId) {
-        // Cancel any pending auto-archive to prevent race conditions
-        if (this._autoArchiveTimer) {
-            clearTimeout(this._autoArchiveTimer);
-            this._autoArchiveTimer = null;
-        }
-        this._autoArchiveGroupId = groupId;
-
-        const overlay = this.elements.feedbackOverlay;
-        overlay.classList.remove('hidden');
-        this._autoArchiveTimer = setTimeout(() => {
-            this._autoArchiveTimer = null;
-            // Re-check completion state in case user unchecked items during the delay
-            if (this.store.checkAllCompleted(this._autoArchiveGroupId)) {
-                this.store.archiveGroup(this._autoArchiveGroupId);
-            }
-            this._autoArchiveGroupId = null;
-            overlay.classList.add('hidden');
-            this.render();
-        }, 2000);
+    // Escapes text and marks `{{name}}` placeholders for display
+    highlightPlaceholders(str) {
+        return this.escapeHtml(str).replace(this.store.PLACEHOLDER_PATTERN, '<span class="placeholder-chip">$1</span>');
     }
 
     escapeHtml(str) {
@@ -789,6 +5892,9 @@ class UIManager {
 
 // Global initialization
 
-document.addEventListener('DOMContentLoaded', () => {
-    window.app = new UIManager(todoStore);
+document.addEventListener('DOMContentLoaded', async () => {
+    await todoStore.ready;
+    const webhooks = new WebhookDispatcher(todoStore);
+    await webhooks.ready;
+    window.app = new UIManager(todoStore, webhooks);
 });